@@ -9,6 +9,9 @@ const cloudinary = require("cloudinary").v2;
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const multer = require("multer");
 const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 
 // ===== Cloudinary Config =====
 cloudinary.config({
@@ -29,8 +32,23 @@ const upload = multer({ storage });
 
 // ===== Express App =====
 const app = express();
+// Behind a proxy (e.g. Render, Nginx) set TRUST_PROXY so req.ip is the client address:
+// true, a hop count such as 1, or a list of proxy addresses/subnets
+function parseTrustProxy(value) {
+  const text = String(value).trim();
+  if (/^(true|false)$/i.test(text)) return text.toLowerCase() === "true";
+  if (/^\d+$/.test(text)) return Number(text);
+  return text;
+}
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+} else {
+  // Behind a proxy every client would share its address and the per-IP limits would block them all together
+  console.warn("TRUST_PROXY is not set: the per-IP limits on logins, sign ups, enquiries and coupon checks use the direct peer address");
+}
 app.use(cors());
-app.use(express.json());
+// rawBody keeps the exact bytes for checking payment webhook signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // ===== MongoDB Connection =====
 mongoose.connect(process.env.MONGO_URI, {
@@ -40,21 +58,163 @@ mongoose.connect(process.env.MONGO_URI, {
 .then(() => console.log("MongoDB Connected"))
 .catch(err => console.error("DB Connection Error:", err));
 
+// ===== Roles & Permissions =====
+// owner: full access, including deletes, customer enquiries, bookings, visa applications and admin accounts
+// editor: can create and edit catalogue content but not delete it or read enquiries
+// viewer: read-only access to catalogue content and dashboard stats
+const ROLE_PERMISSIONS = {
+  owner: [
+    "content:read", "content:write", "content:delete", "queries:read", "stats:read", "admins:manage",
+    "bookings:read", "bookings:manage", "leads:manage", "notifications:manage",
+    "applications:read", "applications:manage", "rates:manage", "coupons:manage",
+    "payments:read", "payments:manage", "reviews:manage",
+  ],
+  editor: ["content:read", "content:write", "stats:read"],
+  viewer: ["content:read", "stats:read"],
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
 // ===== Admin Schema =====
+const BCRYPT_SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS) || 12;
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+// Compared against when the username doesn't exist, so a miss takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("dreamznmiles-timing-guard", BCRYPT_SALT_ROUNDS);
+
 const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
-  password: { type: String, required: true }
+  password: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, default: "viewer" },
+  disabled: { type: Boolean, default: false },
+  // One-time reset/invite token, stored as a SHA-256 hash
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: { type: Number, default: 0 },
+  // Consecutive failed logins and the lockout they triggered
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockUntil: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }
+}, { timestamps: true });
+
+// Hash the password whenever it is set in plain text
+adminSchema.pre("save", async function () {
+  if (!this.isModified("password") || BCRYPT_HASH_PATTERN.test(this.password)) return;
+  this.password = await bcrypt.hash(this.password, BCRYPT_SALT_ROUNDS);
 });
+
+adminSchema.methods.verifyPassword = function (candidate) {
+  return bcrypt.compare(String(candidate || ""), this.password);
+};
+
 const Admin = mongoose.model("Admin", adminSchema);
 
+// ===== Admin Sessions =====
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Server-side refresh tokens. Each login starts a family; every refresh rotates the token within it.
+const refreshTokenSchema = new mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  family: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  replacedBy: String,
+  createdByIp: String,
+  userAgent: String
+}, { timestamps: true });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+// Returns a list of problems with the password, empty when it is strong enough
+function checkPasswordStrength(password, username) {
+  const problems = [];
+  if (typeof password !== "string" || password.length < 10) problems.push("Password must be at least 10 characters long");
+  if (!/[a-z]/.test(password)) problems.push("Password must contain a lowercase letter");
+  if (!/[A-Z]/.test(password)) problems.push("Password must contain an uppercase letter");
+  if (!/\d/.test(password)) problems.push("Password must contain a number");
+  if (!/[^A-Za-z0-9]/.test(password)) problems.push("Password must contain a symbol");
+  if (username && typeof password === "string" && password.toLowerCase().includes(username.toLowerCase())) {
+    problems.push("Password must not contain the username");
+  }
+  return problems;
+}
+
+const PASSWORD_RESET_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Generates a one-time reset token for the admin; only its hash is persisted
+function issuePasswordResetToken(admin) {
+  const token = crypto.randomBytes(32).toString("hex");
+  admin.passwordResetToken = hashToken(token);
+  admin.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+}
+
+// Issues an access token plus a new refresh token (in the given family, or a new one)
+async function issueAdminSession(admin, req, family = uuidv4()) {
+  const token = jwt.sign(
+    { id: admin._id, tv: admin.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  await RefreshToken.create({
+    admin: admin._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    createdByIp: req.ip,
+    userAgent: req.headers["user-agent"]
+  });
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Invalidates every outstanding access and refresh token of the admin
+async function revokeAllSessions(admin) {
+  const updated = await Admin.findByIdAndUpdate(admin._id, { $inc: { tokenVersion: 1 } }, { new: true });
+  if (updated) admin.tokenVersion = updated.tokenVersion;
+  await RefreshToken.updateMany({ admin: admin._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+// Admin fields that are safe to send to the dashboard
+function toPublicAdmin(admin) {
+  return {
+    _id: admin._id,
+    username: admin.username,
+    role: admin.role,
+    disabled: !!admin.disabled,
+    passwordResetPending: !!(admin.passwordResetExpires && admin.passwordResetExpires > new Date()),
+    lockedUntil: admin.lockUntil && admin.lockUntil > new Date() ? admin.lockUntil : null,
+    createdAt: admin.createdAt,
+    updatedAt: admin.updatedAt,
+  };
+}
+
 // Create default admin
 (async () => {
   try {
+    // Admins created before roles existed had full access, keep it that way
+    await Admin.updateMany({ role: { $exists: false } }, { $set: { role: "owner" } });
+
+    // Re-hash admins still stored with a plaintext password (the pre-save hook does the hashing)
+    const legacyAdmins = await Admin.find({ password: { $not: BCRYPT_HASH_PATTERN } });
+    for (const admin of legacyAdmins) {
+      admin.markModified("password");
+      await admin.save();
+    }
+    if (legacyAdmins.length) console.log(`Migrated ${legacyAdmins.length} admin password(s) to bcrypt`);
+
     const existingAdmin = await Admin.findOne({ username: process.env.ADMIN_USERNAME });
     if (!existingAdmin) {
       await Admin.create({
         username: process.env.ADMIN_USERNAME,
-        password: process.env.ADMIN_PASSWORD
+        password: process.env.ADMIN_PASSWORD,
+        role: "owner"
       });
       console.log("Default admin created");
     }
@@ -63,661 +223,1711 @@ const Admin = mongoose.model("Admin", adminSchema);
   }
 })();
 
+// ===== Rate Limiting =====
+// Fixed-window counters keyed by string. Both stores expose the same async interface:
+//   hit(key, windowMs) -> { count, resetAt }   increments and returns the current window
+//   get(key)           -> { count, resetAt } | null
+//   reset(key)
+
+function createMemoryThrottleStore() {
+  const counters = new Map();
+  const current = (key) => {
+    const entry = counters.get(key);
+    if (entry && entry.resetAt <= new Date()) {
+      counters.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  return {
+    async hit(key, windowMs) {
+      const entry = current(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+      entry.count += 1;
+      counters.set(key, entry);
+      return { ...entry };
+    },
+    async get(key) {
+      const entry = current(key);
+      return entry ? { ...entry } : null;
+    },
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+const throttleCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+throttleCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+const ThrottleCounter = mongoose.model("ThrottleCounter", throttleCounterSchema);
+
+function createMongoThrottleStore() {
+  return {
+    async hit(key, windowMs) {
+      const now = new Date();
+      // The TTL monitor only runs once a minute, so clear an elapsed window ourselves
+      await ThrottleCounter.deleteOne({ key, expiresAt: { $lte: now } });
+      try {
+        const doc = await ThrottleCounter.findOneAndUpdate(
+          { key },
+          { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(now.getTime() + windowMs) } },
+          { new: true, upsert: true }
+        );
+        return { count: doc.count, resetAt: doc.expiresAt };
+      } catch (err) {
+        // Two first hits raced on the upsert; the loser just increments
+        if (err.code !== 11000) throw err;
+        const doc = await ThrottleCounter.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true });
+        return { count: doc.count, resetAt: doc.expiresAt };
+      }
+    },
+    async get(key) {
+      const doc = await ThrottleCounter.findOne({ key, expiresAt: { $gt: new Date() } });
+      return doc ? { count: doc.count, resetAt: doc.expiresAt } : null;
+    },
+    async reset(key) {
+      await ThrottleCounter.deleteOne({ key });
+    },
+  };
+}
+
+// THROTTLE_STORE=memory (or NODE_ENV=test) keeps counters in process, otherwise they live in Mongo
+const throttleStore = process.env.THROTTLE_STORE === "memory" || process.env.NODE_ENV === "test"
+  ? createMemoryThrottleStore()
+  : createMongoThrottleStore();
+
+function sendTooManyRequests(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ===== Auth Middleware =====
+
+// Verifies the bearer token issued by /api/admin/login and loads the admin into req.admin
+async function authenticateAdmin(req, res, next) {
+  try {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) return res.status(401).json({ error: "Unauthorized" });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    // Admin tokens carry no audience; anything with one (e.g. a customer token) isn't for this API
+    if (decoded.aud) return res.status(401).json({ error: "Invalid or expired token" });
+
+    const admin = await Admin.findById(decoded.id);
+    if (!admin) return res.status(401).json({ error: "Unauthorized" });
+    if (admin.disabled) return res.status(403).json({ error: "Account is disabled" });
+    if ((decoded.tv || 0) !== (admin.tokenVersion || 0)) {
+      return res.status(401).json({ error: "Session has been revoked" });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+function hasPermission(admin, permission) {
+  return (ROLE_PERMISSIONS[admin.role] || []).includes(permission);
+}
+
+// Route guard: authorize("content:write") authenticates and then checks every listed permission
+function authorize(...permissions) {
+  return [
+    authenticateAdmin,
+    (req, res, next) => {
+      if (!permissions.every((p) => hasPermission(req.admin, p))) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+      next();
+    },
+  ];
+}
+
 // ===== Admin Login =====
+const LOGIN_THROTTLE = {
+  windowMs: (Number(process.env.LOGIN_WINDOW_MINUTES) || 15) * 60 * 1000,
+  maxPerIp: Number(process.env.LOGIN_MAX_PER_IP) || 20,
+  maxPerUsername: Number(process.env.LOGIN_MAX_PER_USERNAME) || 10,
+  lockoutThreshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  lockoutMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  maxDelayMs: 8000,
+};
+
+// Failed login log, kept for 30 days
+const loginAttemptSchema = new mongoose.Schema({
+  username: String,
+  ip: String,
+  userAgent: String,
+  reason: { type: String, enum: ["unknown_user", "bad_password", "locked", "disabled", "throttled"] },
+  createdAt: { type: Date, default: Date.now }
+});
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+function recordFailedLogin(req, username, reason) {
+  return LoginAttempt.create({ username, ip: req.ip, userAgent: req.headers["user-agent"], reason })
+    .catch((err) => console.error("Failed to record login attempt:", err));
+}
+
+// 0, 250ms, 500ms, 1s, ... doubling per failure in the window, capped
+function loginDelayMs(failures) {
+  if (failures <= 1) return 0;
+  return Math.min(250 * 2 ** (failures - 2), LOGIN_THROTTLE.maxDelayMs);
+}
+
+function lockAdmin(adminId) {
+  return Admin.updateOne(
+    { _id: adminId },
+    { $set: { lockUntil: new Date(Date.now() + LOGIN_THROTTLE.lockoutMs), failedLoginAttempts: 0 } }
+  );
+}
+
+// Counts an attempt against the account before its password is checked, so parallel guesses can't
+// all slip under the lockout threshold. Returns the attempt number, or null while the account is locked.
+async function claimLoginAttempt(admin) {
+  const now = new Date();
+  const updated = await Admin.findOneAndUpdate(
+    { _id: admin._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated) return null;
+  if (updated.failedLoginAttempts > LOGIN_THROTTLE.lockoutThreshold) {
+    await lockAdmin(admin._id);
+    return null;
+  }
+  return updated.failedLoginAttempts;
+}
+
 app.post("/api/admin/login", async (req, res) => {
   try {
     const { username, password } = req.body;
-    const admin = await Admin.findOne({ username });
-    if (!admin || admin.password !== password) {
+    const name = String(username || "");
+
+    // Every attempt is counted before the password is checked; a successful login clears the username count
+    const [ipHit, userHit] = await Promise.all([
+      throttleStore.hit(`login:ip:${req.ip}`, LOGIN_THROTTLE.windowMs),
+      throttleStore.hit(`login:user:${name.toLowerCase()}`, LOGIN_THROTTLE.windowMs),
+    ]);
+    if (ipHit.count > LOGIN_THROTTLE.maxPerIp) {
+      recordFailedLogin(req, name, "throttled");
+      return sendTooManyRequests(res, ipHit.resetAt, "Too many login attempts from this address, try again later");
+    }
+    if (userHit.count > LOGIN_THROTTLE.maxPerUsername) {
+      recordFailedLogin(req, name, "throttled");
+      return sendTooManyRequests(res, userHit.resetAt, "Too many login attempts for this account, try again later");
+    }
+
+    const admin = await Admin.findOne({ username: name });
+    const attempt = admin ? await claimLoginAttempt(admin) : 0;
+    const locked = attempt === null;
+
+    // A locked account is answered like an unknown username, so lockouts don't reveal which usernames exist
+    const passwordMatches = admin && !locked
+      ? await admin.verifyPassword(password)
+      : await bcrypt.compare(String(password || ""), DUMMY_PASSWORD_HASH);
+    if (!admin || locked || !passwordMatches) {
+      recordFailedLogin(req, name, !admin ? "unknown_user" : locked ? "locked" : "bad_password");
+      if (admin && !locked && attempt >= LOGIN_THROTTLE.lockoutThreshold) await lockAdmin(admin._id);
+      await sleep(loginDelayMs(Math.max(ipHit.count, userHit.count)));
       return res.status(400).json({ error: "Invalid username or password" });
     }
-    const token = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, { expiresIn: "1d" });
-    res.json({ message: "Login successful", token });
+    if (admin.disabled) {
+      recordFailedLogin(req, name, "disabled");
+      return res.status(403).json({ error: "Account is disabled" });
+    }
+
+    await Promise.all([
+      throttleStore.reset(`login:user:${name.toLowerCase()}`),
+      Admin.updateOne({ _id: admin._id }, { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }),
+    ]);
+    const session = await issueAdminSession(admin, req);
+    res.json({ message: "Login successful", ...session, admin: { username: admin.username, role: admin.role } });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
-app.post("/api/admin/change-password", async (req, res) => {
+app.post("/api/admin/change-password", authenticateAdmin, async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
-
-    // Get the logged-in admin from token (assume you have auth middleware)
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) return res.status(401).json({ error: "Unauthorized" });
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const admin = await Admin.findById(decoded.id);
-    if (!admin) return res.status(404).json({ error: "Admin not found" });
+    const admin = req.admin;
 
     // Check old password
-    if (admin.password !== oldPassword) {
+    if (!(await admin.verifyPassword(oldPassword))) {
       return res.status(400).json({ error: "Old password is incorrect" });
     }
 
-    // Update password
+    const problems = checkPasswordStrength(newPassword, admin.username);
+    if (oldPassword === newPassword) problems.push("New password must be different from the old password");
+    if (problems.length) {
+      return res.status(400).json({ error: "Password is too weak", details: problems });
+    }
+
+    // Update password and sign out every other session
     admin.password = newPassword;
     await admin.save();
+    await revokeAllSessions(admin);
 
-    res.json({ message: "Password changed successfully" });
+    const session = await issueAdminSession(admin, req);
+    res.json({ message: "Password changed successfully", ...session });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// ===== Destination Schema =====
-const destinationSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  images: [String],
-  thumbnail: String,
-  price: Number,
-  days: String,
-  shortDescription: String,
-  highlights: [String],
-  inclusions: [String],
-  exclusions: [String],
-  itinerary: [
-    { day: String, title: String, description: String }
-  ],
-  hotels: [
-    { city: String, name: String, rating: String, nights: Number }
-  ],
-  availableDates: [String],
-  transportation: [String],
-  pricing: {
-    adult: Number,
-    child: Number,
-    singleSupplement: Number
-  },
-  policies: {
-    cancellation: [String],
-    payment: [String]
-  },
-  termsConditions: [String],
-  location: {
-    country: String,
-    city: String,
-    coordinates: { lat: Number, lng: Number }
-  },
-  activities: [
-    { name: String, description: String, duration: String, location: String, included: [String], images: [String] }
-  ]
-}, { timestamps: true });
+// Complete an invite or a forced reset with the one-time token
+app.post("/api/admin/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token) return res.status(400).json({ error: "Reset token is required" });
 
-const Destination = mongoose.model("Destination", destinationSchema);
+    const tokenFilter = { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } };
+    // Looked up first only for the username the strength check needs
+    const candidate = await Admin.findOne(tokenFilter).select("username");
+    if (!candidate) return res.status(400).json({ error: "Reset token is invalid or has expired" });
 
-// ===== Destination Routes =====
+    const problems = checkPasswordStrength(newPassword, candidate.username);
+    if (problems.length) {
+      return res.status(400).json({ error: "Password is too weak", details: problems });
+    }
 
-// Get all packages
-app.get("/api/admin/packages", async (req, res) => {
-  try {
-    const packages = await Destination.find();
-    res.json(packages);
+    // Consumes the token and sets the password in one update; of two requests with the token only one matches
+    const password = await bcrypt.hash(String(newPassword), BCRYPT_SALT_ROUNDS);
+    const admin = await Admin.findOneAndUpdate(
+      { _id: candidate._id, ...tokenFilter },
+      { $set: { password }, $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+    if (!admin) return res.status(400).json({ error: "Reset token is invalid or has expired" });
+    await revokeAllSessions(admin);
+
+    res.json({ message: "Password has been reset" });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// Get package by ID
-app.get("/api/admin/packages/:id", async (req, res) => {
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post("/api/admin/token/refresh", async (req, res) => {
   try {
-    const pkg = await Destination.findById(req.params.id);
-    if (!pkg) return res.status(404).json({ message: "Package not found" });
-    res.json(pkg);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
-  }
-});
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: "Refresh token is required" });
 
-// Add new package
-app.post(
-  "/api/admin/packages",
-  upload.fields([
-    { name: "thumbnail", maxCount: 1 },
-    { name: "images", maxCount: 10 },
-    { name: "activityImages", maxCount: 50 },
-  ]),
-  async (req, res) => {
-    try {
-      const data = { ...req.body };
-
-      // Parse JSON fields safely
-      const jsonFields = [
-        "itinerary",
-        "hotels",
-        "activities",
-        "pricing",
-        "policies",
-        "location",
-        "termsConditions",
-        "highlights",
-        "inclusions",
-        "exclusions",
-        "availableDates",
-        "transportation",
-      ];
-
-      jsonFields.forEach((field) => {
-        if (data[field] && typeof data[field] === "string") {
-          try {
-            data[field] = JSON.parse(data[field]);
-          } catch (err) {
-            console.warn(`Failed to parse field ${field}:`, err.message);
-            data[field] = Array.isArray(data[field]) ? data[field] : [];
-          }
-        }
-      });
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored || stored.expiresAt <= new Date()) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
 
-      // Generate a unique ID
-      data.id = uuidv4();
+    // Mark it used; only one concurrent request can win this update
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (!claimed) {
+      // A rotated token was presented again: assume it leaked and end the whole family
+      await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+      return res.status(401).json({ error: "Refresh token has been revoked" });
+    }
 
-      // Handle thumbnail
-      if (req.files.thumbnail?.length) {
-        data.thumbnail = req.files.thumbnail[0].path;
-      }
+    const admin = await Admin.findById(stored.admin);
+    if (!admin) return res.status(401).json({ error: "Unauthorized" });
+    if (admin.disabled) return res.status(403).json({ error: "Account is disabled" });
 
-      // Handle package images
-      if (req.files.images?.length) {
-        data.images = req.files.images.map((f) => f.path);
-      }
+    const session = await issueAdminSession(admin, req, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { $set: { replacedBy: hashToken(session.refreshToken) } });
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Handle activity images
-      if (data.activities && req.files.activityImages?.length) {
-        let imgIdx = 0;
-        data.activities.forEach((act) => {
-          const count = act.imageCount || 1; // optional: can be sent from frontend
-          act.images = req.files.activityImages
-            .slice(imgIdx, imgIdx + count)
-            .map((f) => f.path);
-          imgIdx += count;
-        });
+// End the current session (the refresh token family it belongs to)
+app.post("/api/admin/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      if (stored) {
+        await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
       }
-
-      // Save to MongoDB
-      const newPackage = new Destination(data);
-      await newPackage.save();
-
-      res.json({ success: true, message: "Package added successfully", package: newPackage });
-    } catch (err) {
-      console.error("Error saving package:", err);
-      res.status(500).json({ success: false, message: err.message });
     }
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-);
-app.put(
-  "/api/admin/packages/:id",
-  upload.fields([
-    { name: "thumbnail", maxCount: 1 },
-    { name: "images", maxCount: 10 },
-    { name: "activityImages", maxCount: 50 },
-  ]),
-  async (req, res) => {
-    try {
-      const existingPackage = await Destination.findById(req.params.id);
-      if (!existingPackage)
-        return res.status(404).json({ message: "Package not found" });
+});
 
-      const data = {};
+// End every session of the logged-in admin, on all devices
+app.post("/api/admin/logout-all", authenticateAdmin, async (req, res) => {
+  try {
+    await revokeAllSessions(req.admin);
+    res.json({ message: "All sessions have been logged out" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Parse fields
-      for (const key in req.body) {
-        try {
-          data[key] = JSON.parse(req.body[key]);
-        } catch {
-          data[key] = req.body[key];
-        }
-      }
+// ===== Admin User Management =====
 
-      // Update thumbnail if new file uploaded
-      if (req.files.thumbnail?.length) {
-        data.thumbnail = req.files.thumbnail[0].path;
-      } else {
-        data.thumbnail = existingPackage.thumbnail;
-      }
+function countActiveOwners() {
+  return Admin.countDocuments({ role: "owner", disabled: { $ne: true } });
+}
 
-      // Merge images
-      if (req.files.images?.length) {
-        data.images = [...(existingPackage.images || []), ...req.files.images.map(f => f.path)];
-      } else {
-        data.images = existingPackage.images;
-      }
+// List admins
+app.get("/api/admin/users", authorize("admins:manage"), async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ username: 1 });
+    res.json({ success: true, users: admins.map(toPublicAdmin) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-      // Merge activity images
-      if (Array.isArray(existingPackage.activities)) {
-        data.activities = existingPackage.activities.map((act, idx) => {
-          const existingImgs = act.images || [];
-          let newImgs = [];
+// Invite a new admin. Without a password a one-time token is returned for the invitee to set their own.
+app.post("/api/admin/users", authorize("admins:manage"), async (req, res) => {
+  try {
+    const { username, role = "viewer", password } = req.body;
+    if (!username || typeof username !== "string") {
+      return res.status(400).json({ success: false, message: "Username is required" });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ADMIN_ROLES.join(", ")}` });
+    }
+    if (await Admin.exists({ username })) {
+      return res.status(409).json({ success: false, message: "Username is already taken" });
+    }
 
-          if (data.activities?.[idx]?.images) {
-            newImgs = data.activities[idx].images;
-          }
+    const admin = new Admin({ username, role, createdBy: req.admin._id });
+    let inviteToken;
+    if (password) {
+      const problems = checkPasswordStrength(password, username);
+      if (problems.length) {
+        return res.status(400).json({ success: false, message: "Password is too weak", details: problems });
+      }
+      admin.password = password;
+    } else {
+      // Unusable random password until the invite is accepted
+      admin.password = crypto.randomBytes(32).toString("hex");
+      inviteToken = issuePasswordResetToken(admin);
+    }
+    await admin.save();
 
-          // Append new uploaded activity files
-          const uploadedFiles = req.files.activityImages || [];
-          const count = uploadedFiles.splice(0, newImgs.length).map(f => f.path);
+    res.status(201).json({ success: true, message: "Admin created", user: toPublicAdmin(admin), inviteToken });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-          return {
-            ...act,
-            ...data.activities?.[idx],
-            images: [...existingImgs, ...count]
-          };
-        });
-      }
+const adminUpdateRules = {
+  role: { type: "string", enum: ADMIN_ROLES },
+  disabled: { type: "boolean" },
+  unlock: { type: "boolean" },
+};
 
-      const updatedPackage = await Destination.findByIdAndUpdate(
-        req.params.id,
-        data,
-        { new: true }
-      );
+// Change role, disable/enable or unlock an admin
+app.patch("/api/admin/users/:id", authorize("admins:manage"), validateBody(adminUpdateRules, { partial: true }), async (req, res) => {
+  try {
+    const { role, disabled, unlock } = req.body;
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
+
+    const isActiveOwner = admin.role === "owner" && !admin.disabled;
+    const losesOwner = (role !== undefined && role !== "owner") || disabled === true;
+    if (isActiveOwner && losesOwner && (await countActiveOwners()) <= 1) {
+      return res.status(400).json({ success: false, message: "Cannot demote or disable the last owner" });
+    }
 
-      res.json({ success: true, message: "Package updated successfully", package: updatedPackage });
-    } catch (err) {
-      console.error("Update Error:", err);
-      res.status(500).json({ success: false, message: err.message });
+    if (role !== undefined) admin.role = role;
+    if (disabled !== undefined) admin.disabled = disabled;
+    if (unlock) {
+      admin.lockUntil = undefined;
+      admin.failedLoginAttempts = 0;
     }
+    await admin.save();
+    if (unlock) await throttleStore.reset(`login:user:${admin.username.toLowerCase()}`);
+    if (admin.disabled) await revokeAllSessions(admin);
+
+    res.json({ success: true, message: "Admin updated", user: toPublicAdmin(admin) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
   }
-);
-
+});
 
+// Force a password reset: the current password stops working and a one-time token is returned
+app.post("/api/admin/users/:id/reset-password", authorize("admins:manage"), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
 
+    admin.password = crypto.randomBytes(32).toString("hex");
+    const resetToken = issuePasswordResetToken(admin);
+    await admin.save();
+    await revokeAllSessions(admin);
 
+    res.json({ success: true, message: "Password reset issued", resetToken, expiresAt: admin.passwordResetExpires });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
+// Failed login attempts, newest first. Filter with ?username= and/or ?ip=
+app.get("/api/admin/login-attempts", authorize("admins:manage"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.username) filter.username = String(req.query.username);
+    if (req.query.ip) filter.ip = String(req.query.ip);
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
 
+    const attempts = await LoginAttempt.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ success: true, attempts });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
+// Delete an admin
+app.delete("/api/admin/users/:id", authorize("admins:manage"), async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.status(404).json({ success: false, message: "Admin not found" });
 
+    if (admin._id.equals(req.admin._id)) {
+      return res.status(400).json({ success: false, message: "You cannot delete your own account" });
+    }
+    if (admin.role === "owner" && !admin.disabled && (await countActiveOwners()) <= 1) {
+      return res.status(400).json({ success: false, message: "Cannot delete the last owner" });
+    }
 
+    await Admin.findByIdAndDelete(admin._id);
+    await RefreshToken.deleteMany({ admin: admin._id });
+    res.json({ success: true, message: "Admin deleted" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
+// ===== Request Validation =====
+// Each resource declares a rule per accepted field. Rules:
+//   type: "string" | "number" | "boolean" | "date" | "objectId" | "array" | "object"
+//   required, min, max (numbers), integer, maxLength, enum, pattern, uppercase, check (strings),
+//   of (rule for array items), fields (rules for object keys), split (accept "a, b" for string arrays),
+//   nullable (an explicit null is kept, so updates can clear the field)
+// Multipart bodies only carry strings, so numbers, booleans and JSON-encoded arrays/objects are coerced.
+// Empty strings and "null" count as "not sent". Unknown keys are rejected.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s\-().]{7,20}$/;
+
+const isBlank = (value) => value === undefined || value === null || value === "" || value === "null";
+
+function validateValue(value, rule, path, errors) {
+  const fail = (message) => {
+    errors.push({ field: path, message });
+    return undefined;
+  };
+
+  switch (rule.type) {
+    case "string": {
+      if (typeof value === "number" || typeof value === "boolean") value = String(value);
+      if (typeof value !== "string") return fail("must be a string");
+      value = value.trim();
+      if (rule.uppercase) value = value.toUpperCase();
+      if (rule.maxLength && value.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of: ${rule.enum.join(", ")}`);
+      if (rule.pattern && !rule.pattern.test(value)) return fail(rule.patternMessage || "has an invalid format");
+      // check(value) returns an error message, or nothing when the value is fine
+      const problem = rule.check && rule.check(value);
+      if (problem) return fail(problem);
+      return value;
+    }
+    case "number": {
+      const num = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof num !== "number" || !Number.isFinite(num)) return fail("must be a number");
+      if (rule.integer && !Number.isInteger(num)) return fail("must be a whole number");
+      if (rule.min !== undefined && num < rule.min) return fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && num > rule.max) return fail(`must be at most ${rule.max}`);
+      return num;
+    }
+    case "boolean": {
+      if (value === true || value === "true" || value === "1") return true;
+      if (value === false || value === "false" || value === "0") return false;
+      return fail("must be true or false");
+    }
+    case "date": {
+      const date = value instanceof Date ? value : new Date(value);
+      if (typeof value === "boolean" || Number.isNaN(date.getTime())) return fail("must be a valid date");
+      return date;
+    }
+    case "objectId": {
+      if (!mongoose.Types.ObjectId.isValid(String(value))) return fail("must be a valid id");
+      return String(value);
+    }
+    case "array": {
+      if (typeof value === "string") {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          if (!rule.split) return fail("must be a JSON array");
+          value = value.split(",").map((v) => v.trim()).filter(Boolean);
+        }
+      }
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      if (rule.minItems && value.length < rule.minItems) return fail(`must have at least ${rule.minItems} item(s)`);
+      return value.map((item, i) => validateValue(item, rule.of, `${path}[${i}]`, errors));
+    }
+    case "object": {
+      if (typeof value === "string") {
+        try {
+          value = JSON.parse(value);
+        } catch {
+          return fail("must be a JSON object");
+        }
+      }
+      if (!value || typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+      return validateFields(value, rule.fields, { prefix: `${path}.` }, errors);
+    }
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${path}`);
+  }
+}
 
+function validateFields(input, rules, { partial = false, prefix = "" }, errors) {
+  const output = {};
+  for (const key of Object.keys(input)) {
+    if (!Object.hasOwn(rules, key)) errors.push({ field: prefix + key, message: "is not allowed" });
+  }
+  for (const [key, rule] of Object.entries(rules)) {
+    const value = input[key];
+    if (value === null && rule.nullable) {
+      output[key] = null;
+      continue;
+    }
+    if (isBlank(value)) {
+      if (rule.required && !partial) errors.push({ field: prefix + key, message: "is required" });
+      continue;
+    }
+    const cleaned = validateValue(value, rule, prefix + key, errors);
+    if (cleaned !== undefined) output[key] = cleaned;
+  }
+  return output;
+}
 
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
+// Express middleware: replaces req.body with the cleaned values or answers 400 with every field error.
+// partial: true (for updates) makes required fields optional at the top level.
+function validateBody(rules, { partial = false } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleaned = validateFields(req.body || {}, rules, { partial }, errors);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Validation failed", errors });
+    }
+    req.body = cleaned;
+    next();
+  };
+}
 
-app.delete("/api/admin/packages/:id", async (req, res) => {
-  try {
-    const pkg = await Destination.findById(req.params.id);
-    if (!pkg) return res.status(404).json({ message: "Package not found" });
+// Same as validateBody for query strings; the cleaned values go to req.validQuery
+function validateQuery(rules) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleaned = validateFields(req.query || {}, rules, {}, errors);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Validation failed", errors });
+    }
+    req.validQuery = cleaned;
+    next();
+  };
+}
 
-    // Collect all Cloudinary public IDs to delete
-    const publicIds = [];
+const stringRule = { type: "string" };
+const stringListRule = { type: "array", of: stringRule, split: true };
+const priceRule = { type: "number", min: 0 };
+
+// ===== Pagination =====
+// List endpoints accept ?page=&limit=&sort=&fields=
+//   sort:   comma separated fields, "-" prefix for descending, e.g. sort=-price,title
+//   fields: comma separated fields to return, e.g. fields=title,price,thumbnail (_id is always included)
+// and answer with { success, <items>, pagination: { page, limit, total, totalPages, hasNextPage } }.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parseListQuery(query, Model, { sortable, defaultSort }) {
+  const errors = [];
+  const schemaPaths = Object.keys(Model.schema.paths);
+  const isSchemaPath = (field) => schemaPaths.some((p) => p === field || p.startsWith(`${field}.`));
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) errors.push({ field: "page", message: "must be a positive whole number" });
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.push({ field: "limit", message: `must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
+  }
 
-    // Thumbnail
-    if (pkg.thumbnail) {
-      publicIds.push(getPublicId(pkg.thumbnail));
+  const sort = {};
+  for (const token of String(query.sort || defaultSort).split(",").map((t) => t.trim()).filter(Boolean)) {
+    const field = token.replace(/^-/, "");
+    if (!sortable.includes(field)) {
+      errors.push({ field: "sort", message: `cannot sort by "${field}", allowed: ${sortable.join(", ")}` });
+      continue;
     }
+    sort[field] = token.startsWith("-") ? -1 : 1;
+  }
+  // Tie-breaker so pages don't overlap when sort values are equal
+  if (!sort._id) sort._id = -1;
+
+  let projection = null;
+  if (query.fields) {
+    const fields = String(query.fields).split(",").map((f) => f.trim()).filter(Boolean);
+    const unknown = fields.filter((f) => !isSchemaPath(f));
+    if (unknown.length) errors.push({ field: "fields", message: `unknown field(s): ${unknown.join(", ")}` });
+    projection = fields.join(" ");
+  }
 
-    // Main images
-    if (Array.isArray(pkg.images)) {
-      pkg.images.forEach(url => publicIds.push(getPublicId(url)));
-    }
+  return { errors, page, limit, skip: (page - 1) * limit, sort, projection };
+}
 
-    // Activity images
-    if (Array.isArray(pkg.activities)) {
-      pkg.activities.forEach(act => {
-        if (Array.isArray(act.images)) {
-          act.images.forEach(url => publicIds.push(getPublicId(url)));
-        }
-      });
+// Middleware: parses list parameters into req.list or answers 400
+function listQuery(Model, options) {
+  return (req, res, next) => {
+    const { errors, ...list } = parseListQuery(req.query, Model, options);
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: "Invalid list parameters", errors });
     }
+    req.list = list;
+    next();
+  };
+}
 
-    // Delete images from Cloudinary
-    await Promise.all(publicIds.filter(Boolean).map(id => cloudinary.uploader.destroy(id)));
-
+// Runs one page of a find() plus the total count
+async function findPage(Model, filter, list) {
+  const [items, total] = await Promise.all([
+    Model.find(filter, list.projection).sort(list.sort).skip(list.skip).limit(list.limit),
+    Model.countDocuments(filter),
+  ]);
+  const totalPages = Math.ceil(total / list.limit);
+  return {
+    items,
+    pagination: { page: list.page, limit: list.limit, total, totalPages, hasNextPage: list.page < totalPages },
+  };
+}
 
-    // Delete from MongoDB
-    await Destination.findByIdAndDelete(req.params.id);
+// ===== Notifications =====
+// Emails are written to an outbox collection first and delivered by a background worker, so a slow or
+// failing mail server never fails the request that triggered the email. MAIL_TRANSPORT picks the transport:
+//   smtp   - nodemailer, configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file   - writes each message as JSON into MAIL_FILE_DIR (default ./mail-outbox), for local development
+//   memory - keeps messages in memoryMailbox, for tests
+// Without MAIL_TRANSPORT: smtp when SMTP_HOST is set, memory when NODE_ENV=test, file when
+// NODE_ENV=development. Anywhere else nothing is sent: the emails fail in the outbox (and can be
+// retried from the dashboard once mail is configured) and the missing setup is logged at startup.
+const MAIL_FROM = process.env.MAIL_FROM || "Dreamz N Miles <no-reply@dreamznmiles.com>";
+// Comma separated staff addresses that receive new enquiry/booking/reservation alerts
+const STAFF_NOTIFY_EMAILS = (process.env.STAFF_NOTIFY_EMAILS || "")
+  .split(",").map((e) => e.trim()).filter(Boolean);
+const MAIL_MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 6;
+const MAIL_RETRY_BASE_MS = 60 * 1000; // doubled after every failed attempt
+const MAIL_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const MAIL_POLL_MS = 30 * 1000;
+const MAIL_SENDING_TIMEOUT_MS = 5 * 60 * 1000; // a "sending" message older than this is treated as abandoned
+
+const EMAIL_STATUSES = ["pending", "sending", "sent", "failed"];
+
+const emailMessageSchema = new mongoose.Schema({
+  template: { type: String, required: true },
+  // Stored lowercase like customer emails, so the ?to= filter of the delivery log matches
+  to: { type: [{ type: String, lowercase: true, trim: true }], required: true },
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  status: { type: String, enum: EMAIL_STATUSES, default: "pending", index: true },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  sentAt: Date,
+  lastError: String,
+  // The record the email is about, e.g. { kind: "Booking", id }
+  related: {
+    kind: String,
+    id: mongoose.Schema.Types.ObjectId
+  },
+  // One entry per delivery attempt
+  deliveries: [
+    {
+      at: { type: Date, default: Date.now },
+      transport: String,
+      ok: Boolean,
+      error: String,
+      messageId: String
+    }
+  ]
+}, { timestamps: true });
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ "related.kind": 1, "related.id": 1 });
+const EmailMessage = mongoose.model("EmailMessage", emailMessageSchema);
+
+// Transports share one interface: { name, send({ from, to, subject, text }) } resolving to { messageId }
+function createSmtpTransport() {
+  const nodemailer = require("nodemailer"); // only needed when SMTP is actually used
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+}
 
-    res.json({ success: true, message: "Package and images deleted" });
-  } catch (err) {
-    console.error("Delete error:", err);
-    res.status(500).json({ message: err.message });
-  }
-});
+function createFileTransport(dir = process.env.MAIL_FILE_DIR || path.join(__dirname, "mail-outbox")) {
+  return {
+    name: "file",
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.promises.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(message, null, 2));
+      return { messageId };
+    },
+  };
+}
 
-// Helper: extract Cloudinary public ID from URL
-function getPublicId(url) {
-  try {
-    // Remove query string
-    const cleanUrl = url.split("?")[0];
+const memoryMailbox = [];
+function createMemoryTransport() {
+  return {
+    name: "memory",
+    async send(message) {
+      const messageId = String(memoryMailbox.length + 1);
+      memoryMailbox.push({ ...message, messageId });
+      return { messageId };
+    },
+  };
+}
 
-    // Match folder/filename without extension, ignoring version
-    const match = cleanUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
-    if (!match) return null;
+function createUnconfiguredTransport() {
+  return {
+    name: "none",
+    async send() {
+      throw new Error("No mail transport is configured, set MAIL_TRANSPORT or SMTP_HOST");
+    },
+  };
+}
 
-    return match[1]; // returns: destinations/tofahzbdxqjbtieyrkxd
+function selectMailTransport() {
+  const fallback = { test: "memory", development: "file" }[process.env.NODE_ENV];
+  const choice = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : fallback);
+  if (choice === "smtp") return createSmtpTransport();
+  if (choice === "memory") return createMemoryTransport();
+  if (choice === "file") return createFileTransport();
+  console.error("No mail transport is configured (MAIL_TRANSPORT or SMTP_HOST): emails will not be sent");
+  return createUnconfiguredTransport();
+}
+const mailTransport = selectMailTransport();
+
+// Templates take the data passed to queueEmail and return { subject, text }
+const EMAIL_TEMPLATES = {
+  enquiryAcknowledgement: (q) => ({
+    subject: "We've received your enquiry",
+    text: `Hi ${q.name || "there"},\n\n`
+      + "Thanks for getting in touch with Dreamz N Miles. One of our travel experts will contact you shortly.\n\n"
+      + (q.message ? `Your message:\n${q.message}\n\n` : "")
+      + "Dreamz N Miles",
+  }),
+  enquiryStaffAlert: (q) => ({
+    subject: `New enquiry from ${q.name || q.email || "a customer"}`,
+    text: [
+      `Name: ${q.name || "-"}`,
+      `Email: ${q.email || "-"}`,
+      `Phone: ${q.phone || "-"}`,
+      `Travellers: ${q.adults || 0} adults, ${q.children || 0} children`,
+      "",
+      q.message || "(no message)",
+    ].join("\n"),
+  }),
+  bookingReceived: (b) => ({
+    subject: `Booking ${b.reference} received`,
+    text: `Hi ${b.customer.name},\n\n`
+      + `We've received your booking ${b.reference} for ${b.packageTitle} departing ${b.departureDate.toDateString()} `
+      + `(${b.adults} adults, ${b.children} children). Total: ${b.price.total} ${b.price.currency || BASE_CURRENCY}.\n`
+      + "We'll confirm it shortly.\n\nDreamz N Miles",
+  }),
+  bookingStaffAlert: (b) => ({
+    subject: `New booking ${b.reference}`,
+    text: [
+      `Package: ${b.packageTitle}`,
+      `Departure: ${b.departureDate.toDateString()}`,
+      `Customer: ${b.customer.name} <${b.customer.email}> ${b.customer.phone || ""}`.trim(),
+      `Travellers: ${b.adults} adults, ${b.children} children, ${b.singleRooms} single rooms`,
+      `Total: ${b.price.total} ${b.price.currency || BASE_CURRENCY}`,
+    ].join("\n"),
+  }),
+  paymentReceived: ({ booking: b, payment: p, summary }) => ({
+    subject: `Payment received for booking ${b.reference}`,
+    text: `Hi ${b.customer.name},\n\n`
+      + `We've received your ${p.purpose} payment of ${p.amount} ${p.currency} for ${b.packageTitle} (${b.reference}).\n`
+      + (summary.next
+        ? `Balance of ${summary.next.amount} ${summary.currency} is due by ${new Date(summary.next.dueAt).toDateString()}.\n`
+        : "Your booking is fully paid.\n")
+      + "\nDreamz N Miles",
+  }),
+  customerEmailVerification: ({ customer, link }) => ({
+    subject: "Confirm your email address",
+    text: `Hi ${customer.name},\n\n`
+      + `Please confirm your email address for your Dreamz N Miles account:\n${link}\n\n`
+      + "The link is valid for 48 hours. If you didn't sign up, you can ignore this email.\n\nDreamz N Miles",
+  }),
+  customerPasswordReset: ({ customer, link }) => ({
+    subject: "Reset your password",
+    text: `Hi ${customer.name},\n\n`
+      + `Someone asked to reset the password of your Dreamz N Miles account. To choose a new one, open:\n${link}\n\n`
+      + "The link is valid for one hour. If it wasn't you, you can ignore this email.\n\nDreamz N Miles",
+  }),
+  customerSignupExisting: ({ customer, loginLink, resetLink }) => ({
+    subject: "You already have an account",
+    text: `Hi ${customer.name},\n\n`
+      + "Someone tried to sign up to Dreamz N Miles with this email address, which already has an account.\n"
+      + `If it was you, log in at:\n${loginLink}\n\nor, if you've forgotten your password, reset it at:\n${resetLink}\n\n`
+      + "If it wasn't you, you can ignore this email.\n\nDreamz N Miles",
+  }),
+  visaApplicationReceived: (a) => ({
+    subject: `Visa application ${a.reference} received`,
+    text: `Hi ${a.applicant.name},\n\n`
+      + `We've started your ${a.visaName} application ${a.reference}.`
+      + (a.documents.length ? ` Please upload: ${a.documents.map((d) => d.name).join(", ")}.` : "")
+      + "\n\nDreamz N Miles",
+  }),
+  visaApplicationUpdated: ({ application: a, note }) => ({
+    subject: `Visa application ${a.reference}: ${a.status.replace("_", " ")}`,
+    text: `Hi ${a.applicant.name},\n\nYour ${a.visaName} application ${a.reference} is now ${a.status.replace("_", " ")}.\n`
+      + (note ? `\n${note}\n` : "")
+      + "\nDreamz N Miles",
+  }),
+  bookingStatusChanged: (b) => ({
+    subject: `Booking ${b.reference} ${b.status}`,
+    text: `Hi ${b.customer.name},\n\nYour booking ${b.reference} for ${b.packageTitle} is now ${b.status}.\n\nDreamz N Miles`,
+  }),
+  reservationReceived: (r) => ({
+    subject: `Reservation ${r.reference} received`,
+    text: `Hi ${r.customer.name},\n\n`
+      + `We've received your reservation ${r.reference} at ${r.hotelTitle}: ${r.rooms} x ${r.roomName}, `
+      + `${r.checkIn.toDateString()} to ${r.checkOut.toDateString()} (${r.nights} nights). `
+      + `Total: ${r.price.total} ${r.price.currency || BASE_CURRENCY}.\n`
+      + "We'll confirm it shortly.\n\nDreamz N Miles",
+  }),
+  reservationStaffAlert: (r) => ({
+    subject: `New hotel reservation ${r.reference}`,
+    text: [
+      `Hotel: ${r.hotelTitle}`,
+      `Room: ${r.rooms} x ${r.roomName}, ${r.guests} guests`,
+      `Stay: ${r.checkIn.toDateString()} to ${r.checkOut.toDateString()} (${r.nights} nights)`,
+      `Customer: ${r.customer.name} <${r.customer.email}> ${r.customer.phone || ""}`.trim(),
+      `Total: ${r.price.total} ${r.price.currency || BASE_CURRENCY}`,
+    ].join("\n"),
+  }),
+  reservationStatusChanged: (r) => ({
+    subject: `Reservation ${r.reference} ${r.status}`,
+    text: `Hi ${r.customer.name},\n\nYour reservation ${r.reference} at ${r.hotelTitle} is now ${r.status}.\n\nDreamz N Miles`,
+  }),
+};
+
+// Renders a template into the outbox and nudges the worker. Never throws: a notification
+// must not fail the request it belongs to.
+async function queueEmail(template, to, data, related) {
+  try {
+    const recipients = [].concat(to || []).filter(Boolean);
+    if (!recipients.length) return null;
+    const { subject, text } = EMAIL_TEMPLATES[template](data);
+    const message = await EmailMessage.create({ template, to: recipients, subject, text, related });
+    setImmediate(() => processOutbox().catch((err) => console.error("Error processing outbox:", err)));
+    return message;
   } catch (err) {
-    console.error("Error extracting public_id from:", url, err);
+    console.error(`Error queueing ${template} email:`, err);
     return null;
   }
 }
-app.get("/api/packagesearch", async (req, res) => {
-  try {
-    const { title, minPrice, maxPrice, days } = req.query;
-
-    if (!title) return res.json([]); // no title, no results
 
-    // Primary filter: title
-    let filter = { title: { $regex: title, $options: "i" } };
-
-    // Secondary filters
-    if (minPrice && maxPrice) {
-      filter.price = { $gte: Number(minPrice), $lte: Number(maxPrice) };
-    }
-    if (days) {
-      filter.days = days; // exact match
-    }
+function notifyStaff(template, data, related) {
+  return queueEmail(template, STAFF_NOTIFY_EMAILS, data, related);
+}
 
-    let results = await Destination.find(filter);
+function mailRetryDelay(attempts) {
+  return Math.min(MAIL_RETRY_BASE_MS * 2 ** (attempts - 1), MAIL_RETRY_MAX_MS);
+}
 
-    // If nothing found with full filters, fallback to title-only results
-    if (results.length === 0) {
-      results = await Destination.find({
-        title: { $regex: title, $options: "i" },
-      });
-    }
+// Claims one due message at a time, so several server instances can share the outbox
+async function deliverNextEmail() {
+  const now = new Date();
+  const message = await EmailMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "sending", lockedAt: { $lt: new Date(now.getTime() - MAIL_SENDING_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "sending", lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+  if (!message) return false;
 
-    res.json(results);
+  try {
+    const { messageId } = await mailTransport.send({
+      from: MAIL_FROM,
+      to: message.to.join(", "),
+      subject: message.subject,
+      text: message.text,
+    });
+    await EmailMessage.updateOne({ _id: message._id }, {
+      $set: { status: "sent", sentAt: new Date(), lastError: null },
+      $unset: { lockedAt: 1 },
+      $push: { deliveries: { transport: mailTransport.name, ok: true, messageId } },
+    });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    const giveUp = message.attempts >= MAIL_MAX_ATTEMPTS;
+    await EmailMessage.updateOne({ _id: message._id }, {
+      $set: {
+        status: giveUp ? "failed" : "pending",
+        nextAttemptAt: new Date(Date.now() + mailRetryDelay(message.attempts)),
+        lastError: err.message,
+      },
+      $unset: { lockedAt: 1 },
+      $push: { deliveries: { transport: mailTransport.name, ok: false, error: err.message } },
+    });
   }
-});
-
+  return true;
+}
 
+let outboxRunning = false;
+async function processOutbox() {
+  if (outboxRunning || mongoose.connection.readyState !== 1) return;
+  outboxRunning = true;
+  try {
+    while (await deliverNextEmail());
+  } finally {
+    outboxRunning = false;
+  }
+}
 
+setInterval(() => {
+  processOutbox().catch((err) => console.error("Error processing outbox:", err));
+}, MAIL_POLL_MS).unref();
 
+const emailListQuery = listQuery(EmailMessage, {
+  sortable: ["createdAt", "nextAttemptAt", "sentAt", "attempts"],
+  defaultSort: "-createdAt",
+});
 
-app.get("/api/packageprices", async (req, res) => {
+// Delivery log, filter with ?status=&template=&to=
+app.get("/api/admin/notifications", authorize("notifications:manage"), emailListQuery, async (req, res) => {
   try {
-    const prices = await Destination.distinct("price"); // now numbers
-    res.json(prices.sort((a, b) => a - b));
+    const filter = {};
+    if (EMAIL_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (EMAIL_TEMPLATES[req.query.template]) filter.template = req.query.template;
+    if (req.query.to) filter.to = String(req.query.to).toLowerCase();
+
+    const { items: messages, pagination } = await findPage(EmailMessage, filter, req.list);
+    res.json({ success: true, messages, pagination });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server error" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-const hotelSchema = new mongoose.Schema({
-  title: { type: String, required: true },
-  images: [String],        // Array of Cloudinary URLs
-  price: String,
-  perPerson: String,
-  location: String,
-  reviews: Number,
-  overview: String,
-  popularAmenities: [String],
-  highlights: [String],
-  type: String,
-  roomType: String,
-}, { timestamps: true });
-
-const Hotel = mongoose.model("Hotel", hotelSchema);
-app.get("/api/admin/hotels", async (req, res) => {
+// Puts a failed message back in the queue with a fresh set of attempts
+app.post("/api/admin/notifications/:id/retry", authorize("notifications:manage"), async (req, res) => {
   try {
-    const hotels = await Hotel.find();
-    res.json(hotels);
+    const message = await EmailMessage.findOneAndUpdate(
+      { _id: req.params.id, status: "failed" },
+      { $set: { status: "pending", attempts: 0, nextAttemptAt: new Date() } },
+      { new: true }
+    );
+    if (!message) {
+      const exists = await EmailMessage.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: "Only failed messages can be retried" })
+        : res.status(404).json({ success: false, message: "Message not found" });
+    }
+    processOutbox().catch((err) => console.error("Error processing outbox:", err));
+    res.json({ success: true, message: "Message queued for retry", email: message });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// Get hotel by ID
-app.get("/api/admin/hotels/:id", async (req, res) => {
+// ===== Currencies & Exchange Rates =====
+// Priced records (packages, hotels, flights, visa fees) store their amounts in their own `currency`,
+// BASE_CURRENCY when unset. An ExchangeRate says how many units of its currency one BASE_CURRENCY buys.
+// Public read endpoints accept ?currency=USD and convert every amount the same way:
+//   amount / rate(source) * rate(target), rounded half away from zero to the target currency's
+//   minor unit (2 decimals for USD, 0 for JPY). Each unit price is rounded on its own and totals are
+//   computed from the rounded unit prices, so a total always matches its line items.
+// Converted responses say which currency their prices are in.
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || "INR").toUpperCase();
+const RATE_CACHE_MS = 60 * 1000; // other instances see rate changes within this time
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: { type: String, required: true, unique: true, uppercase: true },
+  rate: { type: Number, required: true, min: 0 }, // units of `currency` per 1 BASE_CURRENCY
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }
+}, { timestamps: true });
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf("currency"));
+const currencyRule = {
+  type: "string",
+  uppercase: true,
+  check: (code) => (KNOWN_CURRENCIES.has(code) ? null : "must be an ISO 4217 currency code, e.g. USD"),
+};
+
+let rateCache = null;
+// currency -> rate, always including BASE_CURRENCY at 1
+async function loadRates() {
+  if (rateCache && Date.now() - rateCache.loadedAt < RATE_CACHE_MS) return rateCache.rates;
+  const rates = new Map([[BASE_CURRENCY, 1]]);
+  for (const { currency, rate } of await ExchangeRate.find().lean()) rates.set(currency, rate);
+  rateCache = { rates, loadedAt: Date.now() };
+  return rates;
+}
+
+function minorUnits(currency) {
   try {
-    const hotel = await Hotel.findById(req.params.id);
-    if (!hotel) return res.status(404).json({ message: "Hotel not found" });
-    res.json(hotel);
-  } catch (err) {
-    res.status(500).json({ message: err.message });
+    return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
   }
-});
+}
 
-// Add new hotel
-app.post(
-  "/api/admin/hotels",
-  upload.array("images", 10), // multiple hotel images
-  async (req, res) => {
-    try {
-      const data = { ...req.body };
-
-      // Parse array fields safely if sent as JSON strings
-      ["popularAmenities", "highlights"].forEach((field) => {
-        if (data[field] && typeof data[field] === "string") {
-          try {
-            data[field] = JSON.parse(data[field]);
-          } catch {
-            data[field] = data[field].split(",").map((i) => i.trim());
-          }
-        }
-      });
+function roundMoney(amount, currency) {
+  const factor = 10 ** minorUnits(currency);
+  // toPrecision strips float noise first, so 1.005 rounds to 1.01
+  return (Math.sign(amount) * Math.round(Number((Math.abs(amount) * factor).toPrecision(15)))) / factor;
+}
 
-      // Handle images uploaded via Cloudinary
-      if (req.files?.length) {
-        data.images = req.files.map((f) => f.path);
-      }
+// Converts between two currencies; undefined when either has no rate
+function convertMoney(amount, from, to, rates) {
+  if (typeof amount !== "number") return amount;
+  if (from === to) return amount;
+  if (!rates.has(from) || !rates.has(to)) return undefined;
+  return roundMoney((amount / rates.get(from)) * rates.get(to), to);
+}
 
-      const newHotel = new Hotel(data);
-      await newHotel.save();
-      res.json({ success: true, message: "Hotel added", hotel: newHotel });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ success: false, message: err.message });
-    }
+// Where the amounts live in each kind of record; "*" walks an array
+const PRICE_PATHS = {
+  package: [
+    "price", "pricing.adult", "pricing.child", "pricing.singleSupplement",
+    "departures.*.priceOverride.adult", "departures.*.priceOverride.child", "departures.*.priceOverride.singleSupplement",
+  ],
+  hotel: ["price", "rooms.*.nightlyRate"],
+  flight: ["services.*.price"],
+  visa: ["fees.amount", "fees.serviceFee"],
+};
+
+function mapPath(obj, [key, ...rest], fn) {
+  if (obj == null) return;
+  if (key === "*") {
+    if (Array.isArray(obj)) obj.forEach((item) => mapPath(item, rest, fn));
+    return;
   }
-);
+  if (!rest.length) {
+    if (typeof obj[key] === "number") obj[key] = fn(obj[key]);
+    return;
+  }
+  mapPath(obj[key], rest, fn);
+}
 
-// Update hotel
-app.put(
-  "/api/admin/hotels/:id",
-  upload.array("images", 10),
-  async (req, res) => {
-    try {
-      const data = {};
+// The record with its prices in money.currency: documents are copied with toObject(), plain
+// objects (aggregate results) are converted in place. Without money (no ?currency=), or when
+// the record's currency has no rate, prices are left as stored.
+function localizePrices(record, kind, money) {
+  if (!money || !record) return record;
+  const obj = typeof record.toObject === "function" ? record.toObject() : { ...record };
+  const holder = kind === "visa" ? obj.fees : obj;
+  if (!holder) return obj;
+  const from = holder.currency || BASE_CURRENCY;
+  if (from === money.currency || !money.rates.has(from)) return obj;
+
+  for (const path of PRICE_PATHS[kind]) {
+    mapPath(obj, path.split("."), (amount) => convertMoney(amount, from, money.currency, money.rates));
+  }
+  holder.currency = money.currency;
+  return obj;
+}
 
-      // Only copy non-empty values
-      for (const [key, value] of Object.entries(req.body)) {
-        if (value === "" || value === "null" || value === null || value === undefined) {
-          continue; // skip empty
-        }
-        data[key] = value;
-      }
+// A list projection (?fields=) still needs the currency field to convert correctly
+function listWithCurrency(list, money, field = "currency") {
+  return money && list.projection ? { ...list, projection: `${list.projection} ${field}` } : list;
+}
 
-      // Parse array fields
-      ["popularAmenities", "highlights"].forEach((field) => {
-        if (data[field] && typeof data[field] === "string") {
-          try {
-            data[field] = JSON.parse(data[field]);
-          } catch {
-            data[field] = data[field].split(",").map((i) => i.trim());
-          }
-        }
+// Reads ?currency= into req.money = { currency, rates }; answers 400 for a currency we have no rate for
+async function withCurrency(req, res, next) {
+  req.money = null;
+  if (!req.query.currency) return next();
+  try {
+    const currency = String(req.query.currency).trim().toUpperCase();
+    const rates = await loadRates();
+    if (!rates.has(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Prices are not available in ${currency}`,
+        currencies: [...rates.keys()],
       });
+    }
+    req.money = { currency, rates };
+    next();
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
 
-      // Parse existingImages JSON string
-      const oldImages = req.body.existingImages ? JSON.parse(req.body.existingImages) : [];
-
-      // New uploaded images
-      const newImages = req.files ? req.files.map((f) => f.path) : [];
-
-      // Merge
-      data.images = [...oldImages, ...newImages];
-
-      // Update only given fields
-      const updatedHotel = await Hotel.findByIdAndUpdate(
-        req.params.id,
-        { $set: data },
-        { new: true }
-      );
+// Admin writes: a record may only be priced in a currency that can be converted
+async function requireRatedCurrency(req, res, next) {
+  try {
+    const rates = await loadRates();
+    const errors = [
+      ["currency", req.body.currency],
+      ["fees.currency", req.body.fees?.currency],
+    ]
+      .filter(([, code]) => code && !rates.has(code))
+      .map(([field, code]) => ({ field, message: `has no exchange rate for ${code}; add one first` }));
+    if (errors.length) return res.status(400).json({ success: false, message: "Validation failed", errors });
+    next();
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
 
-      if (!updatedHotel) {
-        return res.status(404).json({ message: "Hotel not found" });
-      }
+app.get("/api/exchange-rates", async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 });
+    res.json({ success: true, base: BASE_CURRENCY, rates });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-      res.json({ success: true, message: "Hotel updated", hotel: updatedHotel });
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ message: err.message });
+app.put("/api/admin/exchange-rates/:currency", authorize("rates:manage"), validateBody({
+  rate: { type: "number", required: true, min: 0.000001 },
+}), async (req, res) => {
+  try {
+    const currency = String(req.params.currency).toUpperCase();
+    const problem = currencyRule.check(currency);
+    if (problem) return res.status(400).json({ success: false, message: `currency ${problem}` });
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ success: false, message: `${BASE_CURRENCY} is the base currency, its rate is always 1` });
     }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate: req.body.rate, updatedBy: req.admin._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    rateCache = null;
+    res.json({ success: true, message: "Exchange rate saved", rate });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
   }
-);
+});
 
+app.delete("/api/admin/exchange-rates/:currency", authorize("rates:manage"), async (req, res) => {
+  try {
+    const currency = String(req.params.currency).toUpperCase();
+    const inUse = await Promise.all([
+      Destination.exists({ currency }),
+      Hotel.exists({ currency }),
+      Flight.exists({ currency }),
+      Visa.exists({ "fees.currency": currency }),
+      Coupon.exists({ currency }),
+    ]);
+    if (inUse.some(Boolean)) {
+      return res.status(409).json({ success: false, message: `Some prices are still in ${currency}` });
+    }
 
+    const removed = await ExchangeRate.findOneAndDelete({ currency });
+    if (!removed) return res.status(404).json({ success: false, message: "Exchange rate not found" });
+    rateCache = null;
+    res.json({ success: true, message: "Exchange rate deleted" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-// Delete hotel
-app.delete("/api/admin/hotels/:id", async (req, res) => {
-  try {
-    const hotel = await Hotel.findById(req.params.id);
-    if (!hotel) return res.status(404).json({ message: "Hotel not found" });
+// ===== Destination Schema =====
+// Average and count of a package's/hotel's approved reviews, kept up to date by refreshRating
+const ratingDefinition = {
+  average: { type: Number, default: 0 },
+  count: { type: Number, default: 0 },
+  computedAt: Date, // when the reviews behind these numbers were read
+};
 
-    // Collect all Cloudinary public IDs
-    const publicIds = [];
-
-    // Hotel images
-    if (Array.isArray(hotel.images)) {
-      hotel.images.forEach(url => {
-        const publicId = getPublicId(url);
-        if (publicId) publicIds.push(publicId);
-      });
+const destinationSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  images: [String],
+  thumbnail: String,
+  price: Number,
+  currency: { type: String, uppercase: true, default: BASE_CURRENCY }, // of every price on the package
+  days: String, // display text, e.g. "5 Days / 4 Nights"
+  durationDays: { type: Number, min: 1 },
+  nights: { type: Number, min: 0 },
+  shortDescription: String,
+  highlights: [String],
+  inclusions: [String],
+  exclusions: [String],
+  itinerary: [
+    { day: String, title: String, description: String }
+  ],
+  hotels: [
+    { city: String, name: String, rating: String, nights: Number }
+  ],
+  availableDates: [String], // legacy free-text dates, superseded by departures
+  departures: [
+    {
+      date: { type: Date, required: true },
+      capacity: { type: Number, min: 0 }, // unset = unlimited seats
+      seatsBooked: { type: Number, default: 0, min: 0 },
+      // Per-departure prices that replace the package pricing when set
+      priceOverride: { adult: Number, child: Number, singleSupplement: Number },
+      status: { type: String, enum: ["open", "closed"], default: "open" }
     }
+  ],
+  transportation: [String],
+  pricing: {
+    adult: Number,
+    child: Number,
+    singleSupplement: Number
+  },
+  policies: {
+    cancellation: [String],
+    payment: [String]
+  },
+  // Structured deposit terms used when taking payments; unset falls back to the site defaults
+  paymentTerms: {
+    depositPercent: { type: Number, min: 0, max: 100 },
+    balanceDueDays: { type: Number, min: 0 }
+  },
+  termsConditions: [String],
+  location: {
+    country: String,
+    city: String,
+    coordinates: { lat: Number, lng: Number }
+  },
+  activities: [
+    { name: String, description: String, duration: String, location: String, included: [String], images: [String] }
+  ],
+  rating: ratingDefinition
+}, { timestamps: true });
 
-    // Delete images from Cloudinary
-    await Promise.all(publicIds.map(id => cloudinary.uploader.destroy(id)));
+// Full-text index used by the public package search
+destinationSchema.index(
+  {
+    title: "text",
+    shortDescription: "text",
+    highlights: "text",
+    "location.country": "text",
+    "location.city": "text"
+  },
+  {
+    name: "destination_search",
+    weights: { title: 10, "location.country": 5, "location.city": 5, highlights: 3, shortDescription: 2 }
+  }
+);
 
-    // Delete hotel from MongoDB
-    await Hotel.findByIdAndDelete(req.params.id);
+const Destination = mongoose.model("Destination", destinationSchema);
 
-    res.json({ success: true, message: "Hotel and images deleted" });
-  } catch (err) {
-    console.error("Delete error:", err);
-    res.status(500).json({ message: err.message });
+const packageRules = {
+  title: { type: "string", required: true, maxLength: 200 },
+  thumbnail: stringRule,
+  images: stringListRule,
+  price: priceRule,
+  currency: currencyRule,
+  days: stringRule,
+  shortDescription: { type: "string", maxLength: 2000 },
+  highlights: stringListRule,
+  inclusions: stringListRule,
+  exclusions: stringListRule,
+  itinerary: {
+    type: "array",
+    of: { type: "object", fields: { day: stringRule, title: stringRule, description: stringRule } },
+  },
+  hotels: {
+    type: "array",
+    of: {
+      type: "object",
+      fields: { city: stringRule, name: stringRule, rating: stringRule, nights: { type: "number", integer: true, min: 0 } },
+    },
+  },
+  durationDays: { type: "number", integer: true, min: 1 },
+  nights: { type: "number", integer: true, min: 0 },
+  availableDates: stringListRule,
+  departures: {
+    type: "array",
+    of: {
+      type: "object",
+      fields: {
+        // Send the id back on update to keep a departure (and its booked seats)
+        _id: { type: "objectId" },
+        date: { type: "date", required: true },
+        capacity: { type: "number", integer: true, min: 0 },
+        priceOverride: {
+          type: "object",
+          fields: { adult: priceRule, child: priceRule, singleSupplement: priceRule },
+        },
+        status: { type: "string", enum: ["open", "closed"] },
+      },
+    },
+  },
+  transportation: stringListRule,
+  pricing: {
+    type: "object",
+    fields: { adult: priceRule, child: priceRule, singleSupplement: priceRule },
+  },
+  policies: {
+    type: "object",
+    fields: { cancellation: stringListRule, payment: stringListRule },
+  },
+  paymentTerms: {
+    type: "object",
+    fields: {
+      depositPercent: { type: "number", min: 0, max: 100 },
+      balanceDueDays: { type: "number", integer: true, min: 0, max: 365 },
+    },
+  },
+  termsConditions: stringListRule,
+  location: {
+    type: "object",
+    fields: {
+      country: stringRule,
+      city: stringRule,
+      coordinates: {
+        type: "object",
+        fields: { lat: { type: "number", min: -90, max: 90 }, lng: { type: "number", min: -180, max: 180 } },
+      },
+    },
+  },
+  activities: {
+    type: "array",
+    of: {
+      type: "object",
+      fields: {
+        name: stringRule,
+        description: stringRule,
+        duration: stringRule,
+        location: stringRule,
+        included: stringListRule,
+        images: stringListRule,
+        // Number of files in activityImages that belong to this activity
+        imageCount: { type: "number", integer: true, min: 0 },
+      },
+    },
+  },
+};
+
+// ===== Package Durations & Departures =====
+
+// "5 Days / 4 Nights", "5D/4N", "4 nights 5 days", "6 days" -> { durationDays, nights }; null if no number
+function parseDuration(text) {
+  if (!text) return null;
+  const days = String(text).match(/(\d+)\s*d(?:ays?)?\b/i);
+  const nights = String(text).match(/(\d+)\s*n(?:ights?)?\b/i);
+  const first = String(text).match(/\d+/);
+  if (!days && !nights && !first) return null;
+
+  let durationDays = days ? Number(days[1]) : nights ? Number(nights[1]) + 1 : Number(first[0]);
+  durationDays = Math.max(durationDays, 1);
+  return { durationDays, nights: nights ? Number(nights[1]) : durationDays - 1 };
+}
+
+// Parses a legacy date string. Numeric dates are read day-first (15/03/2025), as our admins enter them.
+function parseDepartureDate(text) {
+  const value = String(text || "").trim();
+  const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  const date = dayFirst
+    ? new Date(Date.UTC(Number(dayFirst[3]), Number(dayFirst[2]) - 1, Number(dayFirst[1])))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Fills durationDays/nights and departures from the legacy string fields when they weren't given
+function deriveStructuredSchedule(data) {
+  const derived = {};
+  if (data.durationDays === undefined && data.days) {
+    const parsed = parseDuration(data.days);
+    if (parsed) Object.assign(derived, parsed);
   }
-});
+  if (!data.departures?.length && data.availableDates?.length) {
+    derived.departures = data.availableDates
+      .map(parseDepartureDate)
+      .filter(Boolean)
+      .map((date) => ({ date }));
+  }
+  return derived;
+}
 
-// Helper: extract Cloudinary public ID from URL
-function getPublicId(url) {
-  try {
-    // Remove query string
-    const cleanUrl = url.split("?")[0];
+// Keeps seatsBooked of departures that are sent back with their _id. Returns { departures } or { error }.
+function mergeDepartures(existing, incoming) {
+  const byId = new Map(existing.map((d) => [String(d._id), d]));
+  const departures = [];
+  for (const dep of incoming) {
+    const current = dep._id && byId.get(String(dep._id));
+    const seatsBooked = current ? current.seatsBooked || 0 : 0;
+    if (dep.capacity !== undefined && dep.capacity < seatsBooked) {
+      return { error: `Capacity of the ${dep.date.toISOString().slice(0, 10)} departure is below its ${seatsBooked} booked seats` };
+    }
+    if (current) byId.delete(String(dep._id));
+    departures.push({ ...dep, seatsBooked });
+  }
+  const dropped = [...byId.values()].find((d) => d.seatsBooked > 0);
+  if (dropped) {
+    return { error: `The ${dropped.date.toISOString().slice(0, 10)} departure has bookings; close it instead of removing it` };
+  }
+  return { departures };
+}
 
-    // Match folder/filename without extension, ignoring version
-    const match = cleanUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
-    if (!match) return null;
+// Query condition that holds only while every departure still has the seatsBooked it was read with
+function seatsBookedGuard(departures) {
+  if (!departures.length) return {};
+  return {
+    $and: departures.map((d) => ({
+      departures: { $elemMatch: { _id: d._id, seatsBooked: d.seatsBooked ? d.seatsBooked : { $in: [0, null] } } },
+    })),
+  };
+}
 
-    return match[1]; // e.g., hotels/abc123xyz
+// Prices that apply to a departure: its overrides over the package pricing
+function departurePricing(pkg, departure) {
+  const base = pkg.pricing || {};
+  const override = departure?.priceOverride || {};
+  const pick = (key) => (override[key] ?? base[key] ?? null);
+  return { adult: pick("adult") ?? pkg.price ?? null, child: pick("child"), singleSupplement: pick("singleSupplement") };
+}
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+// Backfill durationDays/nights and departures for packages saved before they existed
+(async () => {
+  try {
+    const legacyPackages = await Destination.find({
+      $or: [
+        { durationDays: { $exists: false }, days: { $nin: [null, ""] } },
+        { "departures.0": { $exists: false }, "availableDates.0": { $exists: true } },
+      ],
+    }).select("days durationDays availableDates departures");
+
+    for (const pkg of legacyPackages) {
+      const derived = deriveStructuredSchedule(pkg.toObject());
+      if (Object.keys(derived).length) await Destination.updateOne({ _id: pkg._id }, { $set: derived });
+    }
+    if (legacyPackages.length) console.log(`Migrated durations/departures for ${legacyPackages.length} package(s)`);
   } catch (err) {
-    console.error("Error extracting public_id from:", url, err);
-    return null;
+    console.error("Error migrating package schedules:", err);
   }
-}
-// Visa Schema
-const visaSchema = new mongoose.Schema(
-  {
-    name: { type: String, required: true },
-    image: { type: String },           // Cloudinary URL
-    visaType: { type: String },
-    validity: { type: String },
-    processingTime: { type: String },
-    visaMode: { type: String },
-    country: { type: String },
-    overview: { type: String },
-    requiredDocuments: [{ type: String }],
-  },
-  { timestamps: true }
-);
+})();
 
-const Visa = mongoose.model("Visa", visaSchema, "visa");
+// ===== Destination Routes =====
 
-// Helper: extract Cloudinary public ID from URL
-function getPublicId(url) {
+// Get all packages
+async function listPackages(req, res) {
   try {
-    const cleanUrl = url.split("?")[0];
-    const match = cleanUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
-    return match ? match[1] : null;
+    const { items, pagination } = await findPage(Destination, {}, listWithCurrency(req.list, req.money));
+    const packages = items.map((pkg) => localizePrices(pkg, "package", req.money));
+    res.json({ success: true, packages, pagination });
   } catch (err) {
-    console.error("Error extracting public_id from:", url, err);
-    return null;
+    res.status(500).json({ message: err.message });
   }
 }
 
-// GET all visas
-app.get("/api/admin/visas", async (req, res) => {
+// Get package by ID
+async function getPackage(req, res) {
   try {
-    const visas = await Visa.find();
-    res.json({ success: true, visas });
+    const pkg = await Destination.findById(req.params.id);
+    if (!pkg) return res.status(404).json({ message: "Package not found" });
+    res.json(localizePrices(pkg, "package", req.money));
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: err.message });
+    res.status(500).json({ message: err.message });
   }
+}
+
+const packageListQuery = listQuery(Destination, {
+  sortable: ["createdAt", "updatedAt", "title", "price", "rating.average", "rating.count"],
+  defaultSort: "-createdAt",
 });
 
-// GET visa by ID
-app.get("/api/admin/visas/:id", async (req, res) => {
-  try {
-    const v = await Visa.findById(req.params.id);
-    if (!v) return res.status(404).json({ success: false, message: "Visa not found" });
+app.get("/api/admin/packages", authorize("content:read"), packageListQuery, listPackages);
+app.get("/api/admin/packages/:id", authorize("content:read"), getPackage);
 
-    const visaData = {
-      ...v.toObject(),
-      requiredDocuments: Array.isArray(v.requiredDocuments) ? v.requiredDocuments : [],
-      image: v.image || ""
-    };
+// Public read-only catalogue for the website
+app.get("/api/packages", withCurrency, packageListQuery, listPackages);
 
-    res.json({ success: true, visa: visaData });
+// Upcoming open departures of a package, with seats left and the prices that apply
+app.get("/api/packages/:id/departures", withCurrency, async (req, res) => {
+  try {
+    const found = await Destination.findById(req.params.id).select("title price currency pricing departures");
+    if (!found) return res.status(404).json({ success: false, message: "Package not found" });
+    const pkg = localizePrices(found, "package", req.money);
+
+    const today = startOfToday();
+    const departures = (pkg.departures || [])
+      .filter((d) => d.status !== "closed" && d.date >= today)
+      .sort((a, b) => a.date - b.date)
+      .map((d) => ({
+        _id: d._id,
+        date: d.date,
+        capacity: d.capacity ?? null,
+        seatsAvailable: d.capacity == null ? null : Math.max(d.capacity - (d.seatsBooked || 0), 0),
+        pricing: departurePricing(pkg, d),
+      }));
+
+    res.json({ success: true, packageId: pkg._id, currency: pkg.currency, departures });
   } catch (err) {
-    console.error(err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// ADD new visa
-// POST
+// Add new package
 app.post(
-  "/api/admin/visas",
-  upload.fields([{ name: "image", maxCount: 1 }]), // Use fields instead of single
+  "/api/admin/packages",
+  authorize("content:write"),
+  upload.fields([
+    { name: "thumbnail", maxCount: 1 },
+    { name: "images", maxCount: 10 },
+    { name: "activityImages", maxCount: 50 },
+  ]),
+  validateBody(packageRules),
+  requireRatedCurrency,
   async (req, res) => {
     try {
-      const data = { ...req.body };
+      const data = { ...req.body, ...deriveStructuredSchedule(req.body) };
 
-      // ===== Handle image upload =====
-      if (req.files?.image?.length) {
-        const file = req.files.image[0];
-        const url = file.path || file.filename || file.secure_url;
-        if (!url) {
-          return res
-            .status(400)
-            .json({ success: false, message: "Image upload failed" });
-        }
-        data.image = url;
-      } else if (req.body.existingImage) {
-        data.image = req.body.existingImage;
-      } else {
-        data.image = ""; // default if no image
+      // Generate a unique ID
+      data.id = uuidv4();
+
+      // Handle thumbnail
+      if (req.files.thumbnail?.length) {
+        data.thumbnail = req.files.thumbnail[0].path;
       }
 
-      // ===== Handle requiredDocuments =====
-      if (data.requiredDocuments) {
-        if (typeof data.requiredDocuments === "string") {
-          try {
-            data.requiredDocuments = JSON.parse(data.requiredDocuments);
-          } catch {
-            data.requiredDocuments = data.requiredDocuments
-              .split(",")
-              .map((d) => d.trim())
-              .filter((d) => d);
-          }
-        }
-      } else {
-        data.requiredDocuments = [];
+      // Handle package images
+      if (req.files.images?.length) {
+        data.images = req.files.images.map((f) => f.path);
       }
 
-      // ===== Save to MongoDB =====
-      const newVisa = new Visa(data);
-      await newVisa.save();
+      // Handle activity images
+      if (data.activities && req.files.activityImages?.length) {
+        let imgIdx = 0;
+        data.activities.forEach((act) => {
+          const count = act.imageCount || 1; // optional: can be sent from frontend
+          act.images = req.files.activityImages
+            .slice(imgIdx, imgIdx + count)
+            .map((f) => f.path);
+          imgIdx += count;
+        });
+      }
 
-      res.json({
-        success: true,
-        message: "Visa added successfully",
-        visa: newVisa,
-      });
+      // Save to MongoDB
+      const newPackage = new Destination(data);
+      await newPackage.save();
+
+      res.json({ success: true, message: "Package added successfully", package: newPackage });
     } catch (err) {
-      console.error("Error in POST /api/admin/visas:", err);
+      console.error("Error saving package:", err);
+      res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
+app.put(
+  "/api/admin/packages/:id",
+  authorize("content:write"),
+  upload.fields([
+    { name: "thumbnail", maxCount: 1 },
+    { name: "images", maxCount: 10 },
+    { name: "activityImages", maxCount: 50 },
+  ]),
+  validateBody(packageRules, { partial: true }),
+  requireRatedCurrency,
+  async (req, res) => {
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const existingPackage = await Destination.findById(req.params.id);
+        if (!existingPackage)
+          return res.status(404).json({ message: "Package not found" });
+
+        const data = { ...req.body, ...deriveStructuredSchedule(req.body) };
+
+        if (data.departures) {
+          const merged = mergeDepartures(existingPackage.departures || [], data.departures);
+          if (merged.error) return res.status(400).json({ success: false, message: merged.error });
+          data.departures = merged.departures;
+        }
+
+        // Update thumbnail if new file uploaded
+        if (req.files.thumbnail?.length) {
+          data.thumbnail = req.files.thumbnail[0].path;
+        } else {
+          data.thumbnail = existingPackage.thumbnail;
+        }
+
+        // Merge images
+        if (req.files.images?.length) {
+          data.images = [...(existingPackage.images || []), ...req.files.images.map(f => f.path)];
+        } else {
+          data.images = existingPackage.images;
+        }
+
+        // Merge activity images
+        const uploadedFiles = [...(req.files.activityImages || [])];
+        if (Array.isArray(existingPackage.activities)) {
+          data.activities = existingPackage.activities.map((act, idx) => {
+            const existingImgs = act.images || [];
+            let newImgs = [];
+
+            if (data.activities?.[idx]?.images) {
+              newImgs = data.activities[idx].images;
+            }
+
+            // Append new uploaded activity files
+            const count = uploadedFiles.splice(0, newImgs.length).map(f => f.path);
+
+            return {
+              ...act,
+              ...data.activities?.[idx],
+              images: [...existingImgs, ...count]
+            };
+          });
+        }
+
+        // Bookings change seatsBooked while this request runs; only write the departures if none did
+        const guard = data.departures ? seatsBookedGuard(existingPackage.departures || []) : {};
+        const updatedPackage = await Destination.findOneAndUpdate({ _id: req.params.id, ...guard }, data, { new: true });
+        if (updatedPackage) {
+          return res.json({ success: true, message: "Package updated successfully", package: updatedPackage });
+        }
+
+        if (attempt === 3) {
+          return res.status(409).json({ success: false, message: "Seats were booked while saving, please try again" });
+        }
+      }
+    } catch (err) {
+      console.error("Update Error:", err);
       res.status(500).json({ success: false, message: err.message });
     }
   }
@@ -726,293 +1936,5020 @@ app.post(
 
 
 
-// PUT (update)
-app.put("/api/admin/visas/:id", upload.single("image"), async (req, res) => {
-  try {
-    const data = { ...req.body };
 
-    if (req.file) data.image = req.file.path;
-    if (!req.file && req.body.existingImage) data.image = req.body.existingImage;
 
-    if (data.requiredDocuments) {
-      if (typeof data.requiredDocuments === "string") {
+
+
+
+
+
+
+
+
+app.delete("/api/admin/packages/:id", authorize("content:delete"), async (req, res) => {
+  try {
+    const pkg = await Destination.findById(req.params.id);
+    if (!pkg) return res.status(404).json({ message: "Package not found" });
+
+    // Collect all Cloudinary public IDs to delete
+    const publicIds = [];
+
+    // Thumbnail
+    if (pkg.thumbnail) {
+      publicIds.push(getPublicId(pkg.thumbnail));
+    }
+
+    // Main images
+    if (Array.isArray(pkg.images)) {
+      pkg.images.forEach(url => publicIds.push(getPublicId(url)));
+    }
+
+    // Activity images
+    if (Array.isArray(pkg.activities)) {
+      pkg.activities.forEach(act => {
+        if (Array.isArray(act.images)) {
+          act.images.forEach(url => publicIds.push(getPublicId(url)));
+        }
+      });
+    }
+
+    // Delete images from Cloudinary
+    await Promise.all(publicIds.filter(Boolean).map(id => cloudinary.uploader.destroy(id)));
+
+
+    // Delete from MongoDB
+    await Destination.findByIdAndDelete(req.params.id);
+    await Review.deleteMany({ kind: "Destination", item: pkg._id });
+
+    res.json({ success: true, message: "Package and images deleted" });
+  } catch (err) {
+    console.error("Delete error:", err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Helper: extract Cloudinary public ID from URL
+function getPublicId(url) {
+  try {
+    // Remove query string
+    const cleanUrl = url.split("?")[0];
+
+    // Match folder/filename without extension, ignoring version
+    const match = cleanUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
+    if (!match) return null;
+
+    return match[1]; // returns: destinations/tofahzbdxqjbtieyrkxd
+  } catch (err) {
+    console.error("Error extracting public_id from:", url, err);
+    return null;
+  }
+}
+// ===== Package Search =====
+// GET /api/packages/search
+//   q             full-text search over title, description, highlights and location
+//   country, city exact match, case-insensitive
+//   minPrice, maxPrice, minDays, maxDays   inclusive ranges, each bound optional
+//   from, to      only packages with an upcoming open departure in this range
+//   activities    comma separated activity names, all must be offered
+//   sort          relevance (default with q) | newest (default) | price | -price | duration | -duration
+//   currency      currency of minPrice/maxPrice and of the prices returned (default BASE_CURRENCY)
+// Responds with the page of packages plus facet counts over the whole filtered set.
+// Price filters, sorting and buckets compare prices converted to BASE_CURRENCY.
+
+// Upper bounds of the price facet buckets; anything above the last one lands in an open-ended bucket
+const PRICE_BUCKET_BOUNDARIES = [0, 25000, 50000, 100000, 200000];
+
+const packageSearchRules = {
+  q: { type: "string", maxLength: 200 },
+  country: { type: "string", maxLength: 100 },
+  city: { type: "string", maxLength: 100 },
+  minPrice: priceRule,
+  maxPrice: priceRule,
+  minDays: { type: "number", integer: true, min: 0 },
+  maxDays: { type: "number", integer: true, min: 0 },
+  from: { type: "date" },
+  to: { type: "date" },
+  activities: stringListRule,
+  sort: { type: "string", enum: ["relevance", "newest", "price", "-price", "duration", "-duration"] },
+  currency: currencyRule,
+  page: { type: "number", integer: true, min: 1 },
+  limit: { type: "number", integer: true, min: 1, max: MAX_PAGE_SIZE },
+};
+
+// What /api/packagesearch has always taken
+const legacyPackageSearchRules = {
+  title: { type: "string", maxLength: 200 },
+  minPrice: priceRule,
+  maxPrice: priceRule,
+  days: { type: "number", integer: true, min: 0 },
+};
+
+const PACKAGE_SEARCH_SORTS = {
+  relevance: { score: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  price: { basePrice: 1, _id: -1 },
+  "-price": { basePrice: -1, _id: -1 },
+  duration: { durationDays: 1, _id: -1 },
+  "-duration": { durationDays: -1, _id: -1 },
+};
+
+// Package price in BASE_CURRENCY; packages in a currency without a rate count as BASE_CURRENCY
+function basePriceExpression(rates) {
+  const branches = [...rates]
+    .filter(([currency]) => currency !== BASE_CURRENCY)
+    .map(([currency, rate]) => ({ case: { $eq: ["$currency", currency] }, then: { $divide: ["$price", rate] } }));
+  return branches.length ? { $switch: { branches, default: "$price" } } : "$price";
+}
+
+// money: { currency, rates }, the currency minPrice/maxPrice are in
+function buildPackageSearchPipeline(params, money) {
+  const {
+    country, city, minPrice, maxPrice, from, to, activities,
+    page = 1, limit = DEFAULT_PAGE_SIZE,
+  } = params;
+  const { q, title, minDays, maxDays } = params;
+  const sortKey = params.sort || (q ? "relevance" : "newest");
+
+  const match = {};
+  if (q) match.$text = { $search: q };
+  // Substring of the title, for the legacy /api/packagesearch
+  if (title) match.title = new RegExp(escapeRegex(title), "i");
+  if (country) match["location.country"] = new RegExp(`^${escapeRegex(country)}$`, "i");
+  if (city) match["location.city"] = new RegExp(`^${escapeRegex(city)}$`, "i");
+  if (activities?.length) {
+    match["activities.name"] = { $all: activities.map((a) => new RegExp(`^${escapeRegex(a)}$`, "i")) };
+  }
+  if (from || to) {
+    // Only upcoming, open departures count
+    const date = { $gte: from && from > startOfToday() ? from : startOfToday() };
+    if (to) date.$lte = to;
+    match.departures = { $elemMatch: { date, status: { $ne: "closed" } } };
+  }
+  if (minDays !== undefined || maxDays !== undefined) {
+    match.durationDays = {};
+    if (minDays !== undefined) match.durationDays.$gte = minDays;
+    if (maxDays !== undefined) match.durationDays.$lte = maxDays;
+  }
+
+  const pipeline = [{ $match: match }, { $addFields: { basePrice: basePriceExpression(money.rates) } }];
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const toBase = (amount) => amount / money.rates.get(money.currency);
+    const basePrice = {};
+    if (minPrice !== undefined) basePrice.$gte = toBase(minPrice);
+    if (maxPrice !== undefined) basePrice.$lte = toBase(maxPrice);
+    pipeline.push({ $match: { basePrice } });
+  }
+  if (sortKey === "relevance" && q) pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+
+  pipeline.push({
+    $facet: {
+      results: [
+        { $sort: sortKey === "relevance" && !q ? PACKAGE_SEARCH_SORTS.newest : PACKAGE_SEARCH_SORTS[sortKey] },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { basePrice: 0 } },
+      ],
+      total: [{ $count: "count" }],
+      countries: [
+        { $match: { "location.country": { $nin: [null, ""] } } },
+        { $group: { _id: "$location.country", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      priceBuckets: [
+        { $match: { basePrice: { $type: "number", $gte: 0 } } },
+        {
+          $bucket: {
+            groupBy: "$basePrice",
+            boundaries: PRICE_BUCKET_BOUNDARIES,
+            default: "above",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+    },
+  });
+
+  return { pipeline, page, limit };
+}
+
+// Bucket boundaries are BASE_CURRENCY amounts, shown converted to money.currency
+function formatPriceBuckets(buckets, money) {
+  const convert = (amount) => (amount == null ? null : convertMoney(amount, BASE_CURRENCY, money.currency, money.rates));
+  const last = PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1];
+  return buckets.map((b) => {
+    if (b._id === "above") return { min: convert(last), max: null, count: b.count };
+    const i = PRICE_BUCKET_BOUNDARIES.indexOf(b._id);
+    return { min: convert(b._id), max: convert(PRICE_BUCKET_BOUNDARIES[i + 1] ?? last), count: b.count };
+  });
+}
+
+async function searchPackages(req, res) {
+  try {
+    // Search results always come in one currency so they can be compared
+    const money = req.money || { currency: BASE_CURRENCY, rates: await loadRates() };
+    const { pipeline, page, limit } = buildPackageSearchPipeline(req.validQuery, money);
+    const [result] = await Destination.aggregate(pipeline);
+
+    const total = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      success: true,
+      currency: money.currency,
+      packages: result.results.map((pkg) => localizePrices(pkg, "package", money)),
+      facets: {
+        countries: result.countries.map((c) => ({ country: c._id, count: c.count })),
+        priceBuckets: formatPriceBuckets(result.priceBuckets, money),
+      },
+      pagination: { page, limit, total, totalPages, hasNextPage: page < totalPages },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+}
+
+app.get("/api/packages/search", withCurrency, validateQuery(packageSearchRules), searchPackages);
+// Registered after /search so "search" isn't taken for an id
+app.get("/api/packages/:id", withCurrency, getPackage);
+
+// Old search URL, kept for existing links and clients: still a bare array of packages, and parameters
+// it doesn't know (cache busters and the like) or can't read are ignored rather than rejected.
+// title -> q, days -> exact duration; no title, no results.
+app.get("/api/packagesearch", async (req, res) => {
+  try {
+    const known = Object.fromEntries(
+      Object.entries(req.query || {}).filter(([key]) => Object.hasOwn(legacyPackageSearchRules, key))
+    );
+    const { title, minPrice, maxPrice, days } = validateFields(known, legacyPackageSearchRules, {}, []);
+    if (!title) return res.json([]);
+
+    const money = { currency: BASE_CURRENCY, rates: await loadRates() };
+    const { pipeline } = buildPackageSearchPipeline(
+      { title, minPrice, maxPrice, minDays: days, maxDays: days, limit: MAX_PAGE_SIZE },
+      money
+    );
+    const [result] = await Destination.aggregate(pipeline);
+    res.json(result.results);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.get("/api/packageprices", async (req, res) => {
+  try {
+    const prices = await Destination.distinct("price"); // now numbers
+    res.json(prices.sort((a, b) => a - b));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+const hotelSchema = new mongoose.Schema({
+  title: { type: String, required: true },
+  images: [String],        // Array of Cloudinary URLs
+  price: Number,
+  currency: { type: String, uppercase: true, default: BASE_CURRENCY }, // of price and the room rates
+  perPerson: String,
+  location: String,
+  reviews: Number, // legacy figure typed in by admins; see rating for the computed one
+  rating: ratingDefinition,
+  overview: String,
+  popularAmenities: [String],
+  highlights: [String],
+  type: String,
+  roomType: String, // legacy display text, superseded by rooms
+  rooms: [
+    {
+      name: { type: String, required: true },
+      description: String,
+      maxGuests: { type: Number, default: 2, min: 1 },
+      nightlyRate: { type: Number, required: true, min: 0 },
+      count: { type: Number, required: true, min: 0 }, // rooms of this type in the hotel
+      amenities: [String]
+    }
+  ],
+}, { timestamps: true });
+
+const Hotel = mongoose.model("Hotel", hotelSchema);
+
+// price used to be free text ("₹5,000"); keep the number, drop what can't be read as one.
+// Runs on the raw collection because such documents don't cast to the schema.
+(async () => {
+  try {
+    const legacy = await Hotel.collection.find({ price: { $type: "string" } }).project({ price: 1 }).toArray();
+    for (const hotel of legacy) {
+      const number = hotel.price.match(/\d[\d,]*(?:\.\d+)?/);
+      const update = number
+        ? { $set: { price: Number(number[0].replace(/,/g, "")) } }
+        : { $unset: { price: 1 } };
+      await Hotel.collection.updateOne({ _id: hotel._id }, update);
+    }
+    if (legacy.length) console.log(`Converted price to a number for ${legacy.length} hotel(s)`);
+  } catch (err) {
+    console.error("Error migrating hotel prices:", err);
+  }
+})();
+
+const hotelRules = {
+  title: { type: "string", required: true, maxLength: 200 },
+  images: stringListRule,
+  // Image URLs to keep on update, in order; new uploads are appended
+  existingImages: stringListRule,
+  price: priceRule,
+  currency: currencyRule,
+  perPerson: stringRule,
+  location: stringRule,
+  reviews: { type: "number", integer: true, min: 0 },
+  overview: { type: "string", maxLength: 5000 },
+  popularAmenities: stringListRule,
+  highlights: stringListRule,
+  type: stringRule,
+  roomType: stringRule,
+  rooms: {
+    type: "array",
+    of: {
+      type: "object",
+      fields: {
+        // Send the id back on update to keep the room type and its reservations
+        _id: { type: "objectId" },
+        name: { type: "string", required: true, maxLength: 100 },
+        description: { type: "string", maxLength: 2000 },
+        maxGuests: { type: "number", integer: true, min: 1, max: 20 },
+        nightlyRate: { ...priceRule, required: true },
+        count: { type: "number", integer: true, min: 0, required: true },
+        amenities: stringListRule,
+      },
+    },
+  },
+};
+async function listHotels(req, res) {
+  try {
+    const { items, pagination } = await findPage(Hotel, {}, listWithCurrency(req.list, req.money));
+    const hotels = items.map((hotel) => localizePrices(hotel, "hotel", req.money));
+    res.json({ success: true, hotels, pagination });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+}
+
+// Get hotel by ID
+async function getHotel(req, res) {
+  try {
+    const hotel = await Hotel.findById(req.params.id);
+    if (!hotel) return res.status(404).json({ message: "Hotel not found" });
+    res.json(localizePrices(hotel, "hotel", req.money));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+}
+
+const hotelListQuery = listQuery(Hotel, {
+  sortable: ["createdAt", "updatedAt", "title", "location", "reviews", "rating.average", "rating.count"],
+  defaultSort: "-createdAt",
+});
+
+app.get("/api/admin/hotels", authorize("content:read"), hotelListQuery, listHotels);
+app.get("/api/admin/hotels/:id", authorize("content:read"), getHotel);
+
+// Public read-only catalogue for the website
+app.get("/api/hotels", withCurrency, hotelListQuery, listHotels);
+app.get("/api/hotels/:id", withCurrency, getHotel);
+
+// Add new hotel
+app.post(
+  "/api/admin/hotels",
+  authorize("content:write"),
+  upload.array("images", 10), // multiple hotel images
+  validateBody(hotelRules),
+  requireRatedCurrency,
+  async (req, res) => {
+    try {
+      const { existingImages, ...data } = req.body;
+
+      // Handle images uploaded via Cloudinary
+      if (req.files?.length) {
+        data.images = req.files.map((f) => f.path);
+      }
+
+      const newHotel = new Hotel(data);
+      await newHotel.save();
+      res.json({ success: true, message: "Hotel added", hotel: newHotel });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+// Update hotel
+app.put(
+  "/api/admin/hotels/:id",
+  authorize("content:write"),
+  upload.array("images", 10),
+  validateBody(hotelRules, { partial: true }),
+  requireRatedCurrency,
+  async (req, res) => {
+    try {
+      // Empty values were dropped by the validator, so only given fields are updated
+      const { existingImages: oldImages = [], ...data } = req.body;
+
+      // Room types with upcoming reservations can't be removed
+      if (data.rooms) {
+        const keptIds = data.rooms.filter((r) => r._id).map((r) => String(r._id));
+        const blocking = await HotelReservation.findOne({
+          hotel: req.params.id,
+          room: { $nin: keptIds },
+          status: { $ne: "cancelled" },
+          checkOut: { $gt: new Date() },
+        });
+        if (blocking) {
+          return res.status(400).json({
+            success: false,
+            message: `Room type "${blocking.roomName}" has upcoming reservations and can't be removed`,
+          });
+        }
+      }
+
+      // New uploaded images
+      const newImages = req.files ? req.files.map((f) => f.path) : [];
+
+      // Merge
+      data.images = [...oldImages, ...newImages];
+
+      // Update only given fields
+      const updatedHotel = await Hotel.findByIdAndUpdate(
+        req.params.id,
+        { $set: data },
+        { new: true }
+      );
+
+      if (!updatedHotel) {
+        return res.status(404).json({ message: "Hotel not found" });
+      }
+
+      res.json({ success: true, message: "Hotel updated", hotel: updatedHotel });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+
+
+// Delete hotel
+app.delete("/api/admin/hotels/:id", authorize("content:delete"), async (req, res) => {
+  try {
+    const hotel = await Hotel.findById(req.params.id);
+    if (!hotel) return res.status(404).json({ message: "Hotel not found" });
+
+    // Collect all Cloudinary public IDs
+    const publicIds = [];
+
+    // Hotel images
+    if (Array.isArray(hotel.images)) {
+      hotel.images.forEach(url => {
+        const publicId = getPublicId(url);
+        if (publicId) publicIds.push(publicId);
+      });
+    }
+
+    // Delete images from Cloudinary
+    await Promise.all(publicIds.map(id => cloudinary.uploader.destroy(id)));
+
+    // Delete hotel from MongoDB
+    await Hotel.findByIdAndDelete(req.params.id);
+    await Review.deleteMany({ kind: "Hotel", item: hotel._id });
+
+    res.json({ success: true, message: "Hotel and images deleted" });
+  } catch (err) {
+    console.error("Delete error:", err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Helper: extract Cloudinary public ID from URL
+function getPublicId(url) {
+  try {
+    // Remove query string
+    const cleanUrl = url.split("?")[0];
+
+    // Match folder/filename without extension, ignoring version
+    const match = cleanUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
+    if (!match) return null;
+
+    return match[1]; // e.g., hotels/abc123xyz
+  } catch (err) {
+    console.error("Error extracting public_id from:", url, err);
+    return null;
+  }
+}
+// Visa Schema
+const VISA_PURPOSES = ["tourism", "business", "transit", "study", "work", "family"];
+
+const visaSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    image: { type: String },           // Cloudinary URL
+    visaType: { type: String },
+    validity: { type: String },
+    processingTime: { type: String },
+    visaMode: { type: String },
+    country: { type: String },
+    countryCode: { type: String, uppercase: true, index: true }, // ISO 3166-1 alpha-2 of the destination
+    overview: { type: String },
+    requiredDocuments: [{ type: String }],
+
+    // Who the visa is for; an empty list or missing limit means no restriction
+    eligibility: {
+      nationalities: [{ type: String, uppercase: true }],         // ISO codes of passports that qualify
+      excludedNationalities: [{ type: String, uppercase: true }],
+      purposes: [{ type: String, enum: VISA_PURPOSES }],
+      minStayDays: Number,
+      maxStayDays: Number,
+    },
+    // Numeric counterparts of the display strings above, used for sorting and comparison
+    processingDays: { min: Number, max: Number },
+    validityDays: Number,
+    fees: {
+      amount: Number,                  // embassy/government fee
+      serviceFee: Number,
+      currency: { type: String, uppercase: true, default: BASE_CURRENCY },
+    },
+  },
+  { timestamps: true }
+);
+
+const Visa = mongoose.model("Visa", visaSchema, "visa");
+
+const visaRules = {
+  name: { type: "string", required: true, maxLength: 200 },
+  image: stringRule,
+  // Keep this image URL when no new file is uploaded
+  existingImage: stringRule,
+  visaType: stringRule,
+  validity: stringRule,
+  processingTime: stringRule,
+  visaMode: stringRule,
+  country: stringRule,
+  overview: { type: "string", maxLength: 5000 },
+  requiredDocuments: stringListRule,
+  countryCode: countryCodeRule(),
+  eligibility: {
+    type: "object",
+    fields: {
+      nationalities: { type: "array", of: countryCodeRule(), split: true },
+      excludedNationalities: { type: "array", of: countryCodeRule(), split: true },
+      purposes: { type: "array", of: { type: "string", enum: VISA_PURPOSES }, split: true },
+      minStayDays: { type: "number", integer: true, min: 1 },
+      maxStayDays: { type: "number", integer: true, min: 1 },
+    },
+  },
+  processingDays: {
+    type: "object",
+    fields: {
+      min: { type: "number", integer: true, min: 0, required: true },
+      max: { type: "number", integer: true, min: 0, required: true },
+    },
+  },
+  validityDays: { type: "number", integer: true, min: 1 },
+  fees: {
+    type: "object",
+    fields: {
+      amount: priceRule,
+      serviceFee: priceRule,
+      currency: currencyRule,
+    },
+  },
+};
+
+// ISO 3166-1 alpha-2 country code, e.g. "IN"
+function countryCodeRule({ required = false } = {}) {
+  return { type: "string", required, uppercase: true, pattern: /^[A-Z]{2}$/, patternMessage: "must be a 2-letter country code" };
+}
+
+// ===== Visa Eligibility =====
+// "3-5 working days", "5 to 7 days", "2 weeks", "48 hours", "6 months", "1 year" -> { min, max } in days; null if no number
+function parseDayRange(text) {
+  const match = String(text || "").match(/(\d+)(?:\s*(?:-|–|to)\s*(\d+))?\s*(hours?|hrs?|days?|weeks?|months?|years?)?/i);
+  if (!match) return null;
+  const unit = (match[3] || "day").toLowerCase();
+  const toDays = (n) => {
+    if (unit.startsWith("h")) return Math.ceil(n / 24);
+    if (unit.startsWith("w")) return n * 7;
+    if (unit.startsWith("m")) return n * 30;
+    if (unit.startsWith("y")) return n * 365;
+    return n;
+  };
+  const min = toDays(Number(match[1]));
+  const max = match[2] ? toDays(Number(match[2])) : min;
+  return { min: Math.min(min, max), max: Math.max(min, max) };
+}
+
+// Numeric processing time and validity from the display strings, unless they were given explicitly.
+// On updates `stored` is the saved visa: a stored number is only replaced when its text changed.
+function deriveVisaFacts(data, stored) {
+  const derived = {};
+  const shouldDerive = (text, storedText, storedValue) =>
+    !stored || storedValue == null || text !== storedText;
+  if (data.processingTime && !data.processingDays &&
+      shouldDerive(data.processingTime, stored?.processingTime, stored?.processingDays?.min)) {
+    const range = parseDayRange(data.processingTime);
+    if (range) derived.processingDays = range;
+  }
+  if (data.validity && data.validityDays == null &&
+      shouldDerive(data.validity, stored?.validity, stored?.validityDays)) {
+    const range = parseDayRange(data.validity);
+    if (range) derived.validityDays = range.max;
+  }
+  return derived;
+}
+
+// Ranges whose lower end is above the upper one, which the per-field rules can't see
+function visaRangeErrors({ eligibility, processingDays }) {
+  const errors = [];
+  const { minStayDays, maxStayDays } = eligibility || {};
+  if (minStayDays != null && maxStayDays != null && minStayDays > maxStayDays) {
+    errors.push({ field: "eligibility.minStayDays", message: "must not be more than eligibility.maxStayDays" });
+  }
+  if (processingDays && processingDays.min > processingDays.max) {
+    errors.push({ field: "processingDays.min", message: "must not be more than processingDays.max" });
+  }
+  return errors;
+}
+
+// Whether a visa's eligibility rules admit this applicant; missing criteria don't restrict
+function isVisaEligible(visa, { nationality, purpose, stayDays }) {
+  const rules = visa.eligibility || {};
+  if (nationality) {
+    if (rules.nationalities?.length && !rules.nationalities.includes(nationality)) return false;
+    if (rules.excludedNationalities?.includes(nationality)) return false;
+  }
+  if (purpose && rules.purposes?.length && !rules.purposes.includes(purpose)) return false;
+  if (stayDays != null) {
+    if (rules.minStayDays != null && stayDays < rules.minStayDays) return false;
+    if (rules.maxStayDays != null && stayDays > rules.maxStayDays) return false;
+  }
+  return true;
+}
+
+// Visas saved before the numeric fields existed
+(async () => {
+  try {
+    const legacyVisas = await Visa.find({
+      $or: [
+        { "processingDays.min": { $exists: false }, processingTime: { $nin: [null, ""] } },
+        { validityDays: { $exists: false }, validity: { $nin: [null, ""] } },
+      ],
+    }).select("processingTime processingDays validity validityDays");
+
+    for (const visa of legacyVisas) {
+      const derived = deriveVisaFacts(visa.toObject());
+      if (Object.keys(derived).length) await Visa.updateOne({ _id: visa._id }, { $set: derived });
+    }
+    if (legacyVisas.length) console.log(`Migrated processing times/validity for ${legacyVisas.length} visa(s)`);
+  } catch (err) {
+    console.error("Error migrating visa facts:", err);
+  }
+})();
+
+const visaCheckRules = {
+  nationality: countryCodeRule({ required: true }),
+  // ISO code, or the country name as shown in the catalogue
+  destination: { type: "string", required: true, maxLength: 100 },
+  purpose: { type: "string", enum: VISA_PURPOSES },
+  stayDays: { type: "number", integer: true, min: 1, max: 3650 },
+  currency: currencyRule,
+};
+
+// GET /api/visas/check?nationality=IN&destination=AE&purpose=tourism&stayDays=10
+// Registered before /api/visas/:id so "check" isn't taken for an id
+app.get("/api/visas/check", withCurrency, validateQuery(visaCheckRules), async (req, res) => {
+  try {
+    const { nationality, destination, purpose, stayDays } = req.validQuery;
+    const filter = /^[A-Za-z]{2}$/.test(destination)
+      ? { countryCode: destination.toUpperCase() }
+      : { country: new RegExp(`^${escapeRegex(destination)}$`, "i") };
+
+    const visas = await Visa.find(filter).sort({ "fees.amount": 1, "processingDays.min": 1 });
+    const options = visas
+      .filter((visa) => isVisaEligible(visa, { nationality, purpose, stayDays }))
+      .map((visa) => localizePrices(visa.toObject(), "visa", req.money))
+      .map((visa) => ({
+        _id: visa._id,
+        name: visa.name,
+        visaType: visa.visaType,
+        visaMode: visa.visaMode,
+        country: visa.country,
+        countryCode: visa.countryCode,
+        processingTime: visa.processingTime,
+        processingDays: visa.processingDays,
+        validity: visa.validity,
+        validityDays: visa.validityDays,
+        maxStayDays: visa.eligibility?.maxStayDays,
+        fees: visa.fees,
+        requiredDocuments: visa.requiredDocuments || [],
+      }));
+
+    res.json({ success: true, nationality, destination, purpose, stayDays, options });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+
+// Helper: extract Cloudinary public ID from URL
+function getPublicId(url) {
+  try {
+    const cleanUrl = url.split("?")[0];
+    const match = cleanUrl.match(/\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
+    return match ? match[1] : null;
+  } catch (err) {
+    console.error("Error extracting public_id from:", url, err);
+    return null;
+  }
+}
+
+// GET all visas
+async function listVisas(req, res) {
+  try {
+    const { items, pagination } = await findPage(Visa, {}, listWithCurrency(req.list, req.money, "fees.currency"));
+    const visas = items.map((visa) => localizePrices(visa, "visa", req.money));
+    res.json({ success: true, visas, pagination });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+// GET visa by ID
+async function getVisa(req, res) {
+  try {
+    const v = await Visa.findById(req.params.id);
+    if (!v) return res.status(404).json({ success: false, message: "Visa not found" });
+
+    const visaData = {
+      ...localizePrices(v.toObject(), "visa", req.money),
+      requiredDocuments: Array.isArray(v.requiredDocuments) ? v.requiredDocuments : [],
+      image: v.image || ""
+    };
+
+    res.json({ success: true, visa: visaData });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+const visaListQuery = listQuery(Visa, {
+  sortable: ["createdAt", "updatedAt", "name", "country"],
+  defaultSort: "-createdAt",
+});
+
+app.get("/api/admin/visas", authorize("content:read"), visaListQuery, listVisas);
+app.get("/api/admin/visas/:id", authorize("content:read"), getVisa);
+
+// Public read-only catalogue for the website
+app.get("/api/visas", withCurrency, visaListQuery, listVisas);
+app.get("/api/visas/:id", withCurrency, getVisa);
+
+// ADD new visa
+// POST
+app.post(
+  "/api/admin/visas",
+  authorize("content:write"),
+  upload.fields([{ name: "image", maxCount: 1 }]), // Use fields instead of single
+  validateBody(visaRules),
+  requireRatedCurrency,
+  async (req, res) => {
+    try {
+      const { existingImage, ...data } = req.body;
+      const rangeErrors = visaRangeErrors(data);
+      if (rangeErrors.length) {
+        return res.status(400).json({ success: false, message: "Validation failed", errors: rangeErrors });
+      }
+
+      // ===== Handle image upload =====
+      if (req.files?.image?.length) {
+        const file = req.files.image[0];
+        const url = file.path || file.filename || file.secure_url;
+        if (!url) {
+          return res
+            .status(400)
+            .json({ success: false, message: "Image upload failed" });
+        }
+        data.image = url;
+      } else if (existingImage) {
+        data.image = existingImage;
+      } else {
+        data.image = ""; // default if no image
+      }
+
+      // ===== Handle requiredDocuments =====
+      if (!data.requiredDocuments) {
+        data.requiredDocuments = [];
+      }
+      Object.assign(data, deriveVisaFacts(data));
+
+      // ===== Save to MongoDB =====
+      const newVisa = new Visa(data);
+      await newVisa.save();
+
+      res.json({
+        success: true,
+        message: "Visa added successfully",
+        visa: newVisa,
+      });
+    } catch (err) {
+      console.error("Error in POST /api/admin/visas:", err);
+      res.status(500).json({ success: false, message: err.message });
+    }
+  }
+);
+
+
+
+
+// PUT (update)
+app.put("/api/admin/visas/:id", authorize("content:write"), upload.single("image"), validateBody(visaRules, { partial: true }), requireRatedCurrency, async (req, res) => {
+  try {
+    const { existingImage, ...data } = req.body;
+    const rangeErrors = visaRangeErrors(data);
+    if (rangeErrors.length) {
+      return res.status(400).json({ success: false, message: "Validation failed", errors: rangeErrors });
+    }
+
+    const stored = await Visa.findById(req.params.id).select("processingTime processingDays validity validityDays").lean();
+    if (!stored) return res.status(404).json({ success: false, message: "Visa not found" });
+
+    if (req.file) data.image = req.file.path;
+    if (!req.file && existingImage) data.image = existingImage;
+
+    Object.assign(data, deriveVisaFacts(data, stored));
+
+    const updatedVisa = await Visa.findByIdAndUpdate(req.params.id, data, { new: true });
+
+    res.json({ success: true, message: "Visa updated successfully", visa: updatedVisa });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+;
+
+// DELETE visa
+app.delete("/api/admin/visas/:id", authorize("content:delete"), async (req, res) => {
+  try {
+    const v = await Visa.findById(req.params.id);
+    if (!v) return res.status(404).json({ success: false, message: "Visa not found" });
+
+    // Delete image from Cloudinary
+    if (v.image) {
+      const publicId = getPublicId(v.image);
+      if (publicId) await cloudinary.uploader.destroy(publicId);
+    }
+
+    await Visa.findByIdAndDelete(req.params.id);
+    res.json({ success: true, message: "Visa deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+
+const flightSchema = new mongoose.Schema(
+  {
+    flightNumber: { type: String, required: true },
+    airline: { type: String, required: true },
+    logo: { type: String }, // Cloudinary URL or file path
+
+    // Times are local wall-clock times ("HH:mm") at the airport, in its IANA time zone
+    departure: {
+      iataCode: { type: String, required: true },
+      time: { type: String, required: true },
+      timezone: { type: String },
+    },
+
+    arrival: {
+      iataCode: { type: String, required: true },
+      time: { type: String, required: true },
+      timezone: { type: String },
+      dayOffset: { type: Number, default: 0, min: 0 }, // 1 = arrives the next (local) day
+    },
+
+    duration: { type: String }, // e.g., "2h 30m", derived from the times and airport time zones
+    durationMinutes: { type: Number },
+
+    // When the flight operates; without a schedule it runs every day
+    schedule: {
+      daysOfWeek: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday, local to the departure airport
+      validFrom: { type: Date },
+      validTo: { type: Date },
+    },
+
+    services: [
+      {
+        type: { type: String, required: true }, // Classic, Value, Flex
+        price: { type: Number, required: true },
+        seats: { type: Number, min: 0 }, // seats on sale at this fare per departure, unset = unlimited
+        features: [{ type: String }],
+      },
+    ],
+    currency: { type: String, uppercase: true, default: BASE_CURRENCY }, // of the service prices
+  },
+  { timestamps: true }
+);
+
+const Flight = mongoose.model("Flight", flightSchema, "flights");
+
+// ===== Airport & Airline Reference Data =====
+// Bundled with the app in data/airports.json and data/airlines.json; edit those files to add entries.
+const AIRPORTS = require("./data/airports.json");
+const AIRLINES = require("./data/airlines.json");
+const airportsByCode = new Map(AIRPORTS.map((a) => [a.iata, a]));
+const airlinesByCode = new Map(AIRLINES.map((a) => [a.iata, a]));
+const airlinesByName = new Map(AIRLINES.map((a) => [a.name.toLowerCase(), a]));
+
+// Airline by IATA code ("6E") or name ("IndiGo"), case-insensitive
+function findAirline(text) {
+  const value = String(text || "").trim();
+  return airlinesByCode.get(value.toUpperCase()) || airlinesByName.get(value.toLowerCase()) || null;
+}
+
+// Autocomplete ranking: exact code, code prefix, city/name prefix, then anywhere in name/city/country
+function searchReference(items, q, limit) {
+  const term = String(q || "").trim().toLowerCase();
+  if (!term) return items.slice(0, limit);
+  const rank = (item) => {
+    const code = item.iata.toLowerCase();
+    const words = [item.city, item.name].filter(Boolean).map((w) => w.toLowerCase());
+    if (code === term) return 0;
+    if (code.startsWith(term)) return 1;
+    if (words.some((w) => w.startsWith(term))) return 2;
+    if ([...words, String(item.country).toLowerCase()].some((w) => w.includes(term))) return 3;
+    return null;
+  };
+  return items
+    .map((item) => ({ item, rank: rank(item) }))
+    .filter((r) => r.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.item.iata.localeCompare(b.item.iata))
+    .slice(0, limit)
+    .map((r) => r.item);
+}
+
+const airportCodeRule = {
+  type: "string",
+  uppercase: true,
+  pattern: /^[A-Z]{3}$/,
+  patternMessage: "must be a 3-letter IATA code",
+  check: (code) => (airportsByCode.has(code) ? null : "is not a known airport code"),
+};
+
+// GET /api/airports?q=del&limit=10
+app.get("/api/airports", (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 10, 50);
+  res.json({ success: true, airports: searchReference(AIRPORTS, req.query.q, limit) });
+});
+
+app.get("/api/airports/:code", (req, res) => {
+  const airport = airportsByCode.get(String(req.params.code).toUpperCase());
+  if (!airport) return res.status(404).json({ success: false, message: "Airport not found" });
+  res.json({ success: true, airport });
+});
+
+// GET /api/airlines?q=indigo&limit=10
+app.get("/api/airlines", (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 10, 50);
+  res.json({ success: true, airlines: searchReference(AIRLINES, req.query.q, limit) });
+});
+
+// ===== Flight Schedules =====
+// A Flight is a timetable entry; FlightInstance is that flight on one date, generated when the flight
+// is saved and by a daily job (never by searches), and carries the absolute times and the seats per fare.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Kolkata";
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "14:05", "2:05 PM" -> { hours: 14, minutes: 5 }; null when unreadable
+function parseClock(text) {
+  const match = String(text || "").trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (/p/i.test(match[3]) ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// Wall-clock parts of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return { date: `${get("year")}-${get("month")}-${get("day")}`, time: `${get("hour")}:${get("minute")}` };
+}
+
+// The instant at which the wall clock in timeZone shows dateStr ("YYYY-MM-DD") hh:mm
+function zonedTimeToUtc(dateStr, { hours, minutes }, timeZone) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, hours, minutes);
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timeZone);
+    const [py, pm, pd] = p.date.split("-").map(Number);
+    const [ph, pmin] = p.time.split(":").map(Number);
+    return Date.UTC(py, pm - 1, pd, ph, pmin) - instant;
+  };
+  // Second pass settles the offset when the first guess lands across a DST change
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+function addDays(dateStr, days) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+// "2025-02-31" parses (as March 3rd), so a date only counts if it survives the round trip
+function isCalendarDate(dateStr) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dateStr;
+}
+
+function formatMinutes(total) {
+  return `${Math.floor(total / 60)}h ${total % 60}m`;
+}
+
+// Whether the flight's schedule has it departing on the local date
+function operatesOn(flight, dateStr) {
+  const schedule = flight.schedule || {};
+  const day = new Date(`${dateStr}T00:00:00Z`);
+  if (schedule.validFrom && day < toUtcDay(schedule.validFrom)) return false;
+  if (schedule.validTo && day > toUtcDay(schedule.validTo)) return false;
+  if (schedule.daysOfWeek?.length && !schedule.daysOfWeek.includes(day.getUTCDay())) return false;
+  return true;
+}
+
+// Time zone of a flight endpoint: stored, else the airport's, else the default
+function endpointTimeZone(endpoint) {
+  return endpoint?.timezone || airportsByCode.get(endpoint?.iataCode)?.timezone || DEFAULT_TIMEZONE;
+}
+
+// Absolute departure/arrival of the flight on a local date; null when its times can't be read
+function flightTimesOn(flight, dateStr) {
+  const depClock = parseClock(flight.departure?.time);
+  const arrClock = parseClock(flight.arrival?.time);
+  if (!depClock || !arrClock) return null;
+
+  const depZone = endpointTimeZone(flight.departure);
+  const arrZone = endpointTimeZone(flight.arrival);
+  const departureAt = zonedTimeToUtc(dateStr, depClock, depZone);
+  let arrivalAt = zonedTimeToUtc(addDays(dateStr, flight.arrival.dayOffset || 0), arrClock, arrZone);
+  // Overnight flights entered without a day offset
+  while (arrivalAt <= departureAt) arrivalAt = new Date(arrivalAt.getTime() + DAY_MS);
+
+  return { departureAt, arrivalAt, durationMinutes: Math.round((arrivalAt - departureAt) / 60000) };
+}
+
+const flightInstanceSchema = new mongoose.Schema({
+  flight: { type: mongoose.Schema.Types.ObjectId, ref: "Flight", required: true },
+  date: { type: String, required: true }, // local departure date, YYYY-MM-DD
+  flightNumber: String,
+  origin: { type: String, required: true },
+  destination: { type: String, required: true },
+  departureAt: { type: Date, required: true },
+  arrivalAt: { type: Date, required: true },
+  durationMinutes: Number,
+  fares: [
+    {
+      type: { type: String, required: true },
+      price: { type: Number, required: true },
+      seats: { type: Number, min: 0 } // seats on sale for this departure, unset = unlimited
+    }
+  ]
+}, { timestamps: true });
+flightInstanceSchema.index({ flight: 1, date: 1 }, { unique: true });
+flightInstanceSchema.index({ origin: 1, destination: 1, date: 1 });
+const FlightInstance = mongoose.model("FlightInstance", flightInstanceSchema);
+
+function faresFromServices(services) {
+  return services.map((s) => ({ type: s.type, price: s.price, seats: s.seats ?? null }));
+}
+
+// Stored instances of the flights on a local date; searches only read them
+function findFlightInstances(flights, dateStr) {
+  return FlightInstance.find({ flight: { $in: flights.map((f) => f._id) }, date: dateStr });
+}
+
+// Brings a flight's instances in line with its schedule from today to the end of the search window:
+// creates the missing days, re-applies edits to the others and drops the days it no longer operates
+async function syncFlightInstances(flight) {
+  const today = new Date().toISOString().slice(0, 10);
+  const operating = [];
+  const ops = [];
+  for (let i = 0; i <= FLIGHT_SEARCH_MAX_DAYS_AHEAD; i++) {
+    const dateStr = addDays(today, i);
+    const times = operatesOn(flight, dateStr) && flightTimesOn(flight, dateStr);
+    if (!times) continue;
+    operating.push(dateStr);
+    ops.push({
+      updateOne: {
+        filter: { flight: flight._id, date: dateStr },
+        update: {
+          $set: {
+            flightNumber: flight.flightNumber,
+            origin: flight.departure.iataCode,
+            destination: flight.arrival.iataCode,
+            ...times,
+            fares: faresFromServices(flight.services || []),
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+  if (ops.length) await FlightInstance.bulkWrite(ops, { ordered: false });
+  await FlightInstance.deleteMany({ flight: flight._id, date: { $gte: today, $nin: operating } });
+}
+
+// Daily, so the search window always reaches FLIGHT_SEARCH_MAX_DAYS_AHEAD days out
+async function extendFlightInstances() {
+  await Flight.find().cursor().eachAsync((flight) => syncFlightInstances(flight));
+}
+
+(async () => {
+  try {
+    await extendFlightInstances();
+  } catch (err) {
+    console.error("Error generating flight instances:", err);
+  }
+})();
+
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  extendFlightInstances().catch((err) => console.error("Error generating flight instances:", err));
+}, 24 * 60 * 60 * 1000).unref();
+
+const clockRule = {
+  type: "string",
+  required: true,
+  check: (time) => (parseClock(time) ? null : "must be a time like 14:05 or 2:05 PM"),
+};
+
+// Time zones come from the airport data, so clients only send the code and local time
+const flightEndpointRule = {
+  type: "object",
+  required: true,
+  fields: {
+    iataCode: { ...airportCodeRule, required: true },
+    time: clockRule,
+  },
+};
+const flightRules = {
+  flightNumber: {
+    type: "string",
+    required: true,
+    uppercase: true,
+    pattern: /^[A-Z0-9]{2}[\s-]?\d{1,4}[A-Z]?$/,
+    patternMessage: "must be an airline code followed by a number, e.g. 6E 2131",
+  },
+  airline: {
+    type: "string",
+    required: true,
+    check: (airline) => (findAirline(airline) ? null : "is not a known airline name or IATA code"),
+  },
+  duration: stringRule, // accepted for older clients, always recomputed from the times
+
+  departure: flightEndpointRule,
+  arrival: {
+    ...flightEndpointRule,
+    fields: { ...flightEndpointRule.fields, dayOffset: { type: "number", integer: true, min: 0, max: 3 } },
+  },
+  schedule: {
+    type: "object",
+    fields: {
+      daysOfWeek: { type: "array", of: { type: "number", integer: true, min: 0, max: 6 } },
+      validFrom: { type: "date" },
+      validTo: { type: "date" },
+    },
+  },
+  services: {
+    type: "array",
+    required: true,
+    minItems: 1,
+    of: {
+      type: "object",
+      fields: {
+        type: { type: "string", required: true },
+        price: { ...priceRule, required: true },
+        seats: { type: "number", integer: true, min: 0 },
+        features: stringListRule,
+      },
+    },
+  },
+  currency: currencyRule,
+  // Keep this logo URL when no new file is uploaded
+  existingLogo: stringRule,
+};
+
+// CREATE flight
+app.post("/api/flights", authorize("content:write"), upload.single("logo"), validateBody(flightRules), requireRatedCurrency, async (req, res) => {
+  try {
+    const { existingLogo, ...fields } = req.body;
+    const prepared = prepareFlight(fields);
+    if (prepared.errors) {
+      return res.status(400).json({ success: false, message: "Validation failed", errors: prepared.errors });
+    }
+
+    const flight = new Flight({
+      ...prepared.data,
+      logo: req.file ? req.file.path : null,
+    });
+
+    await flight.save();
+    await syncFlightInstances(flight);
+    res.status(201).json({ success: true, flight });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to add flight" });
+  }
+});
+
+// GET all flights
+const flightListQuery = listQuery(Flight, {
+  sortable: ["createdAt", "updatedAt", "flightNumber", "airline", "departure.iataCode", "arrival.iataCode"],
+  defaultSort: "-createdAt",
+});
+
+app.get("/api/flights", withCurrency, flightListQuery, async (req, res) => {
+  try {
+    const { items, pagination } = await findPage(Flight, {}, listWithCurrency(req.list, req.money));
+    const flights = items.map((flight) => localizePrices(flight, "flight", req.money));
+    res.json({ success: true, flights, pagination });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to get flights" });
+  }
+});
+
+// GET single flight
+app.get("/api/flight/:id", withCurrency, async (req, res) => {
+  try {
+    const flight = await Flight.findById(req.params.id);
+    if (!flight)
+      return res.status(404).json({ success: false, message: "Flight not found" });
+    res.json({ success: true, flight: localizePrices(flight, "flight", req.money) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to get flight" });
+  }
+});
+
+// UPDATE flight
+app.put("/api/flight/:id", authorize("content:write"), upload.single("logo"), validateBody(flightRules, { partial: true }), requireRatedCurrency, async (req, res) => {
+  try {
+    const { existingLogo, ...fields } = req.body;
+
+    const existingFlight = await Flight.findById(req.params.id);
+    if (!existingFlight)
+      return res.status(404).json({ success: false, message: "Flight not found" });
+
+    const prepared = prepareFlight(fields, existingFlight);
+    if (prepared.errors) {
+      return res.status(400).json({ success: false, message: "Validation failed", errors: prepared.errors });
+    }
+
+    const update = { ...prepared.data };
+    // Without a new file the logo only changes when existingLogo is sent; an empty one removes it
+    if (req.file) update.logo = req.file.path;
+    else if (existingLogo !== undefined) update.logo = existingLogo || null;
+
+    const updatedFlight = await Flight.findByIdAndUpdate(req.params.id, update, { new: true });
+
+    if (!updatedFlight)
+      return res.status(404).json({ success: false, message: "Flight not found" });
+
+    await syncFlightInstances(updatedFlight);
+    res.json({ success: true, flight: updatedFlight });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to update flight" });
+  }
+});
+
+// DELETE flight
+app.delete("/api/flight/:id", authorize("content:delete"), async (req, res) => {
+  try {
+    const flight = await Flight.findById(req.params.id);
+    if (!flight) return res.status(404).json({ success: false, message: "Flight not found" });
+
+    // Delete image (logo) from Cloudinary
+    if (flight.logo) {
+      const publicId = getPublicId(flight.logo);
+      if (publicId) await cloudinary.uploader.destroy(publicId);
+    }
+
+    await Flight.findByIdAndDelete(req.params.id);
+    await FlightInstance.deleteMany({ flight: flight._id });
+    res.json({ success: true, message: "Flight deleted successfully" });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+// Normalises a flight create/update against the reference data: canonical airline name, compact
+// flight number, airport time zones and a derived duration. `existing` is the stored flight on update.
+// Returns { data } or { errors } in the validator's format.
+function prepareFlight(data, existing) {
+  const current = existing ? existing.toObject() : {};
+  const airline = findAirline(data.airline ?? current.airline);
+  const errors = [];
+
+  if (data.airline !== undefined) data.airline = airline.name;
+  if (data.flightNumber !== undefined) data.flightNumber = data.flightNumber.replace(/[\s-]/g, "");
+
+  const flightNumber = data.flightNumber ?? current.flightNumber;
+  if (airline && flightNumber && (data.airline !== undefined || data.flightNumber !== undefined)
+      && !flightNumber.startsWith(airline.iata)) {
+    errors.push({ field: "flightNumber", message: `must start with ${airline.iata}, the code of ${airline.name}` });
+  }
+
+  for (const side of ["departure", "arrival"]) {
+    if (data[side]) data[side].timezone = airportsByCode.get(data[side].iataCode).timezone;
+  }
+  const departure = data.departure ?? current.departure;
+  const arrival = data.arrival ?? current.arrival;
+  if (departure && arrival && departure.iataCode === arrival.iataCode) {
+    errors.push({ field: "arrival.iataCode", message: "must differ from the departure airport" });
+  }
+
+  if (departure && arrival) {
+    // Measured on the first operating day so the time zone offsets (DST) are the ones that apply
+    const schedule = data.schedule ?? current.schedule;
+    const today = new Date().toISOString().slice(0, 10);
+    const from = schedule?.validFrom ? new Date(schedule.validFrom).toISOString().slice(0, 10) : today;
+    const times = flightTimesOn({ departure, arrival }, from > today ? from : today);
+    if (times) {
+      data.durationMinutes = times.durationMinutes;
+      data.duration = formatMinutes(times.durationMinutes);
+    }
+  }
+
+  return errors.length ? { errors } : { data };
+}
+
+// SEARCH flights
+// GET /api/flights/search?origin=DEL&destination=BOM
+//   departureDate  YYYY-MM-DD, local to the origin, at most FLIGHT_SEARCH_MAX_DAYS_AHEAD away; without it
+//                  every matching flight is listed (no dates/fares)
+//   returnDate     YYYY-MM-DD, makes it a round trip priced as outbound + return
+//   maxStops       0 (default) for direct flights only, 1 to add one-stop connections
+//   adults, children, infants  passengers; infants travel on a lap and need no seat
+//   fareType       only offer this fare (e.g. Flex)
+//   sort           price (default) | duration | departure
+const FLIGHT_SEARCH_MAX_DAYS_AHEAD = 365;
+
+const flightSearchRules = {
+  origin: { ...airportCodeRule, required: true },
+  destination: { ...airportCodeRule, required: true },
+  departureDate: { type: "string", pattern: DATE_ONLY_PATTERN, patternMessage: "must be a date like 2025-03-14" },
+  returnDate: { type: "string", pattern: DATE_ONLY_PATTERN, patternMessage: "must be a date like 2025-03-14" },
+  maxStops: { type: "number", integer: true, min: 0, max: 1 },
+  adults: { type: "number", integer: true, min: 1, max: 9 },
+  children: { type: "number", integer: true, min: 0, max: 9 },
+  infants: { type: "number", integer: true, min: 0, max: 9 },
+  fareType: stringRule,
+  sort: { type: "string", enum: ["price", "duration", "departure"] },
+  currency: currencyRule,
+};
+
+const FLIGHT_RESULT_SORTS = {
+  price: (a, b) => a.lowestFare.total - b.lowestFare.total || a.departureAt - b.departureAt,
+  duration: (a, b) => a.durationMinutes - b.durationMinutes || a.lowestFare.total - b.lowestFare.total,
+  departure: (a, b) => a.departureAt - b.departureAt,
+};
+
+// Fares of an instance that still have seats for the party, priced for it in party.money.currency
+// (a fare whose currency can't be converted is left out so totals never mix currencies)
+function bookableFares(instance, { seatsNeeded, payingPassengers, fareType, money }, currency = BASE_CURRENCY) {
+  return instance.fares
+    .filter((f) => !fareType || f.type.toLowerCase() === fareType.toLowerCase())
+    .map((f) => {
+      const price = convertMoney(f.price, currency, money.currency, money.rates);
+      return {
+        type: f.type,
+        price,
+        seatsLeft: f.seats ?? null,
+        total: price * payingPassengers,
+      };
+    })
+    .filter((f) => f.price !== undefined)
+    .filter((f) => f.seatsLeft === null || f.seatsLeft >= seatsNeeded)
+    .sort((a, b) => a.total - b.total);
+}
+
+function describeInstance(instance, flight, fares) {
+  return {
+    instanceId: instance._id,
+    flightId: flight._id,
+    flightNumber: flight.flightNumber,
+    airline: flight.airline,
+    logo: flight.logo,
+    origin: instance.origin,
+    destination: instance.destination,
+    date: instance.date,
+    departureAt: instance.departureAt,
+    arrivalAt: instance.arrivalAt,
+    departureLocal: zonedParts(instance.departureAt, endpointTimeZone(flight.departure)),
+    arrivalLocal: zonedParts(instance.arrivalAt, endpointTimeZone(flight.arrival)),
+    durationMinutes: instance.durationMinutes,
+    duration: formatMinutes(instance.durationMinutes),
+    fares,
+    lowestFare: fares[0],
+  };
+}
+
+// ===== Connections & Round Trips =====
+// Minimum time to change planes, in minutes. MIN_CONNECTION_OVERRIDES sets it per connecting airport,
+// e.g. {"DEL":90,"DXB":75}. Connections longer than MAX_CONNECTION_MINUTES aren't offered.
+const MIN_CONNECTION_MINUTES = Number(process.env.MIN_CONNECTION_MINUTES) || 60;
+const MAX_CONNECTION_MINUTES = Number(process.env.MAX_CONNECTION_MINUTES) || 12 * 60;
+const MIN_CONNECTION_OVERRIDES = (() => {
+  try {
+    return JSON.parse(process.env.MIN_CONNECTION_OVERRIDES || "{}");
+  } catch {
+    console.warn("MIN_CONNECTION_OVERRIDES is not valid JSON, ignoring it");
+    return {};
+  }
+})();
+const MAX_ROUND_TRIP_RESULTS = 50;
+
+function minConnectionMinutes(airport) {
+  return Number(MIN_CONNECTION_OVERRIDES[airport]) || MIN_CONNECTION_MINUTES;
+}
+
+// Bookable, described instances of the given flights on each of the local dates
+async function datedOptions(flights, dates, party) {
+  const byId = new Map(flights.map((f) => [String(f._id), f]));
+  const options = [];
+  for (const dateStr of dates) {
+    for (const instance of await findFlightInstances(flights, dateStr)) {
+      const fares = bookableFares(instance, party, byId.get(String(instance.flight)).currency);
+      if (fares.length) options.push(describeInstance(instance, byId.get(String(instance.flight)), fares));
+    }
+  }
+  return options;
+}
+
+// Fare combinations for a journey: one per fare type offered on every leg, plus the cheapest
+// mix of fares when the legs have no type in common. Cheapest first.
+function combineFares(legs) {
+  const describe = (pick) => {
+    const chosen = legs.map(pick);
+    return {
+      total: chosen.reduce((sum, f) => sum + f.total, 0),
+      legs: legs.map((leg, i) => ({ flightNumber: leg.flightNumber, type: chosen[i].type, price: chosen[i].price })),
+    };
+  };
+  const commonTypes = legs[0].fares
+    .map((f) => f.type)
+    .filter((type) => legs.every((leg) => leg.fares.some((f) => f.type === type)));
+
+  const fares = commonTypes.map((type) => ({ type, ...describe((leg) => leg.fares.find((f) => f.type === type)) }));
+  if (!fares.length) fares.push({ type: "Mixed", ...describe((leg) => leg.fares[0]) });
+  return fares.sort((a, b) => a.total - b.total);
+}
+
+function toItinerary(legs) {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  const fares = combineFares(legs);
+  return {
+    stops: legs.length - 1,
+    origin: first.origin,
+    destination: last.destination,
+    departureAt: first.departureAt,
+    arrivalAt: last.arrivalAt,
+    durationMinutes: Math.round((last.arrivalAt - first.departureAt) / 60000),
+    connections: legs.slice(1).map((leg, i) => ({
+      airport: leg.origin,
+      minutes: Math.round((leg.departureAt - legs[i].arrivalAt) / 60000),
+    })),
+    legs,
+    fares,
+    lowestFare: fares[0],
+  };
+}
+
+// Direct and (with maxStops >= 1) one-stop itineraries departing on a local date
+async function findItineraries(origin, destination, dateStr, party, { maxStops = 0 } = {}) {
+  const direct = await Flight.find({ "departure.iataCode": origin, "arrival.iataCode": destination });
+  const itineraries = (await datedOptions(direct, [dateStr], party)).map((leg) => toItinerary([leg]));
+  if (maxStops < 1) return itineraries;
+
+  // Second legs from every airport reachable from the origin; they may leave the next day
+  const firstLegFlights = await Flight.find({
+    "departure.iataCode": origin,
+    "arrival.iataCode": { $nin: [origin, destination] },
+  });
+  const hubs = [...new Set(firstLegFlights.map((f) => f.arrival.iataCode))];
+  if (!hubs.length) return itineraries;
+
+  const secondLegFlights = await Flight.find({ "departure.iataCode": { $in: hubs }, "arrival.iataCode": destination });
+  const connectingHubs = new Set(secondLegFlights.map((f) => f.departure.iataCode));
+  const firstLegs = await datedOptions(
+    firstLegFlights.filter((f) => connectingHubs.has(f.arrival.iataCode)),
+    [dateStr],
+    party
+  );
+  if (!firstLegs.length) return itineraries;
+  const secondLegs = await datedOptions(secondLegFlights, [dateStr, addDays(dateStr, 1)], party);
+
+  for (const first of firstLegs) {
+    for (const second of secondLegs) {
+      if (second.origin !== first.destination) continue;
+      const layover = (second.departureAt - first.arrivalAt) / 60000;
+      if (layover >= minConnectionMinutes(first.destination) && layover <= MAX_CONNECTION_MINUTES) {
+        itineraries.push(toItinerary([first, second]));
+      }
+    }
+  }
+  return itineraries;
+}
+
+// Outbound/return pairings, priced per fare type available on both journeys, cheapest first
+function pairRoundTrips(outbound, inbound) {
+  const pairs = [];
+  for (const out of outbound) {
+    for (const back of inbound) {
+      if (back.departureAt <= out.arrivalAt) continue;
+      const fares = out.fares
+        .filter((f) => f.type !== "Mixed")
+        .map((f) => ({ type: f.type, outbound: f, inbound: back.fares.find((b) => b.type === f.type) }))
+        .filter((f) => f.inbound)
+        .map((f) => ({ type: f.type, total: f.outbound.total + f.inbound.total }));
+      const lowest = { type: "Lowest", total: out.lowestFare.total + back.lowestFare.total };
+      if (!fares.length || lowest.total < Math.min(...fares.map((f) => f.total))) fares.push(lowest);
+      fares.sort((a, b) => a.total - b.total);
+      pairs.push({ outbound: out, inbound: back, fares, total: fares[0].total });
+    }
+  }
+  return pairs.sort((a, b) => a.total - b.total).slice(0, MAX_ROUND_TRIP_RESULTS);
+}
+
+app.get("/api/flights/search", withCurrency, validateQuery(flightSearchRules), async (req, res) => {
+  try {
+    const {
+      origin, destination, departureDate, returnDate,
+      adults = 1, children = 0, fareType, sort = "price", maxStops = 0,
+    } = req.validQuery;
+
+    // No date: plain timetable lookup
+    if (!departureDate) {
+      if (returnDate) return res.status(400).json({ success: false, message: "returnDate needs a departureDate" });
+      const flights = await Flight.find({ "departure.iataCode": origin, "arrival.iataCode": destination });
+      return res.json({ success: true, flights: flights.map((flight) => localizePrices(flight, "flight", req.money)) });
+    }
+
+    // Searching creates dated instances, so only real dates up to a year ahead are accepted
+    const today = new Date().toISOString().slice(0, 10);
+    for (const [field, value] of [["departureDate", departureDate], ["returnDate", returnDate]]) {
+      if (value && !isCalendarDate(value)) {
+        return res.status(400).json({ success: false, message: `${field} is not a valid date` });
+      }
+      if (value && value > addDays(today, FLIGHT_SEARCH_MAX_DAYS_AHEAD)) {
+        return res.status(400).json({ success: false, message: `${field} can be at most ${FLIGHT_SEARCH_MAX_DAYS_AHEAD} days ahead` });
+      }
+    }
+    // One day of slack: it can still be "yesterday" in UTC while it's today at the origin
+    if (departureDate < addDays(today, -1)) {
+      return res.status(400).json({ success: false, message: "departureDate can't be in the past" });
+    }
+    if (returnDate && returnDate < departureDate) {
+      return res.status(400).json({ success: false, message: "returnDate must not be before departureDate" });
+    }
+
+    // Like package search, results are always in one currency
+    const money = req.money || { currency: BASE_CURRENCY, rates: await loadRates() };
+    const party = { seatsNeeded: adults + children, payingPassengers: adults + children, fareType, money };
+    const passengers = { adults, children, infants: req.validQuery.infants || 0 };
+
+    const outbound = await findItineraries(origin, destination, departureDate, party, { maxStops });
+    outbound.sort(FLIGHT_RESULT_SORTS[sort]);
+    if (!returnDate) {
+      // flights (the direct flights, as before connections existed) stays for existing clients
+      const flights = outbound.filter((itinerary) => itinerary.stops === 0).map((itinerary) => itinerary.legs[0]);
+      return res.json({
+        success: true,
+        tripType: "one-way",
+        currency: money.currency,
+        passengers,
+        flights,
+        itineraries: outbound,
+      });
+    }
+
+    const inbound = await findItineraries(destination, origin, returnDate, party, { maxStops });
+    inbound.sort(FLIGHT_RESULT_SORTS[sort]);
+    res.json({
+      success: true,
+      tripType: "round-trip",
+      currency: money.currency,
+      passengers,
+      outbound,
+      inbound,
+      roundTrips: pairRoundTrips(outbound, inbound),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ success: false, message: "Failed to search flights" });
+  }
+});
+
+
+const LEAD_STATUSES = ["new", "contacted", "quoted", "won", "lost"];
+// What the customer enquired about; public kinds map to model names
+const LEAD_SUBJECT_MODELS = { package: "Destination", hotel: "Hotel", visa: "Visa" };
+
+const querySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  phone: String,
+  adults: Number,
+  children: Number,
+  message: String,
+  date: { type: Date, default: Date.now },
+  // Lead pipeline
+  status: { type: String, enum: LEAD_STATUSES, default: "new", index: true },
+  assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", index: true },
+  followUpAt: Date,
+  subject: {
+    kind: { type: String, enum: Object.values(LEAD_SUBJECT_MODELS) },
+    item: { type: mongoose.Schema.Types.ObjectId, refPath: "subject.kind" }
+  },
+  notes: [
+    {
+      body: { type: String, required: true },
+      author: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      createdAt: { type: Date, default: Date.now }
+    }
+  ],
+  statusHistory: [
+    {
+      status: { type: String, enum: LEAD_STATUSES },
+      at: { type: Date, default: Date.now },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }
+    }
+  ],
+  // Spam protection: quarantined enquiries stay out of stats and the default list until reviewed
+  quarantined: { type: Boolean, default: false, index: true },
+  spamReasons: [String],
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  reviewedAt: Date,
+  ip: String,
+  userAgent: String,
+});
+querySchema.index({ email: 1, date: -1 });
+const Query = mongoose.model("Query", querySchema);
+// Everything counted in stats and shown by default
+const GENUINE_ENQUIRY = { quarantined: { $ne: true } };
+
+// Enquiries from before the pipeline start as new leads
+Query.updateMany({ status: { $exists: false } }, { $set: { status: "new" } })
+  .catch((err) => console.error("Error migrating enquiries to leads:", err));
+
+const queryRules = {
+  name: { type: "string", required: true, maxLength: 100 },
+  email: { type: "string", required: true, maxLength: 254, pattern: EMAIL_PATTERN, patternMessage: "must be a valid email address" },
+  phone: { type: "string", pattern: PHONE_PATTERN, patternMessage: "must be a valid phone number" },
+  adults: { type: "number", integer: true, min: 0, max: 100 },
+  children: { type: "number", integer: true, min: 0, max: 100 },
+  message: { type: "string", maxLength: 5000 },
+  // The package/hotel/visa page the enquiry was sent from
+  subject: {
+    type: "object",
+    fields: {
+      kind: { type: "string", required: true, enum: Object.keys(LEAD_SUBJECT_MODELS) },
+      id: { type: "objectId", required: true },
+    },
+  },
+  // Bot traps: `website` is a hidden field people leave empty, `formStartedAt` is the
+  // epoch milliseconds when the form was rendered
+  website: { type: "string", maxLength: 500 },
+  formStartedAt: { type: "number", integer: true, min: 0 },
+};
+
+// ===== Enquiry Spam Protection =====
+const ENQUIRY_GUARD = {
+  windowMs: (Number(process.env.ENQUIRY_WINDOW_MINUTES) || 60) * 60 * 1000,
+  maxPerIp: Number(process.env.ENQUIRY_MAX_PER_IP) || 5,
+  duplicateWindowMs: (Number(process.env.ENQUIRY_DUPLICATE_MINUTES) || 60) * 60 * 1000,
+  minFillMs: (Number(process.env.ENQUIRY_MIN_FILL_SECONDS) || 3) * 1000,
+  maxLinks: 3,
+};
+
+// Reasons to quarantine an enquiry; empty when it looks genuine
+function enquirySpamReasons({ website, formStartedAt, message }) {
+  const reasons = [];
+  if (website) reasons.push("honeypot");
+  // Our form always sends formStartedAt, so a submission without it didn't come from the form
+  if (formStartedAt === undefined) reasons.push("missing-form-timestamp");
+  else if (Date.now() - formStartedAt < ENQUIRY_GUARD.minFillMs) reasons.push("submitted-too-fast");
+  const links = (message || "").match(/https?:\/\/|www\./gi) || [];
+  if (links.length > ENQUIRY_GUARD.maxLinks) reasons.push("too-many-links");
+  return reasons;
+}
+
+// Same person sending the same enquiry again, e.g. a double click or a page refresh
+function findDuplicateEnquiry({ email, phone, message }) {
+  const filter = { email, date: { $gte: new Date(Date.now() - ENQUIRY_GUARD.duplicateWindowMs) } };
+  if (phone) filter.phone = phone;
+  filter.message = message || { $in: [null, ""] };
+  return Query.findOne(filter).select("_id");
+}
+
+app.post("/api/query", validateBody(queryRules), async (req, res) => {
+  try {
+    const { count, resetAt } = await throttleStore.hit(`enquiry:ip:${req.ip}`, ENQUIRY_GUARD.windowMs);
+    if (count > ENQUIRY_GUARD.maxPerIp) {
+      return sendTooManyRequests(res, resetAt, "Too many enquiries from this address, try again later");
+    }
+
+    const { subject, website, formStartedAt, ...fields } = req.body;
+    if (fields.email) fields.email = fields.email.toLowerCase();
+    if (await findDuplicateEnquiry(fields)) {
+      // Answer exactly as if it went through so a resubmitting customer isn't confused
+      return res.status(201).json({ message: "Query submitted successfully!" });
+    }
+
+    const spamReasons = enquirySpamReasons({ website, formStartedAt, message: fields.message });
+    const data = {
+      ...fields,
+      quarantined: spamReasons.length > 0,
+      spamReasons,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    };
+    if (subject) {
+      const modelName = LEAD_SUBJECT_MODELS[subject.kind];
+      if (!(await mongoose.model(modelName).exists({ _id: subject.id }))) {
+        return res.status(400).json({ error: `The enquired ${subject.kind} does not exist` });
+      }
+      data.subject = { kind: modelName, item: subject.id };
+    }
+
+    const newQuery = new Query(data);
+    await newQuery.save();
+
+    // Bots get the same answer as everyone else, but nobody is emailed about their enquiry
+    if (!newQuery.quarantined) await notifyEnquiry(newQuery);
+    res.status(201).json({ message: "Query submitted successfully!" });
+  } catch (error) {
+    res.status(500).json({ error: "Something went wrong" });
+  }
+});
+function notifyEnquiry(query) {
+  const related = { kind: "Query", id: query._id };
+  return Promise.all([
+    queueEmail("enquiryAcknowledgement", query.email, query, related),
+    notifyStaff("enquiryStaffAlert", query, related),
+  ]);
+}
+
+const queryListQuery = listQuery(Query, {
+  sortable: ["date", "name", "email", "status", "followUpAt"],
+  defaultSort: "-date", // latest first
+});
+
+// Lead filters: ?status=&assignedTo=<adminId>|me|none&followUpBefore=&subjectKind=package|hotel|visa&q=
+// ?quarantined=true lists the enquiries waiting for spam review instead of the genuine ones
+function buildLeadFilter(query, admin) {
+  const filter = query.quarantined === "true" ? { quarantined: true } : { ...GENUINE_ENQUIRY };
+  if (LEAD_STATUSES.includes(query.status)) filter.status = query.status;
+  if (query.assignedTo === "me") filter.assignedTo = admin._id;
+  else if (query.assignedTo === "none") filter.assignedTo = null;
+  else if (mongoose.Types.ObjectId.isValid(query.assignedTo)) filter.assignedTo = query.assignedTo;
+  if (query.followUpBefore && !Number.isNaN(new Date(query.followUpBefore).getTime())) {
+    filter.followUpAt = { $lte: new Date(query.followUpBefore) };
+  }
+  if (LEAD_SUBJECT_MODELS[query.subjectKind]) filter["subject.kind"] = LEAD_SUBJECT_MODELS[query.subjectKind];
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q).slice(0, 100)), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+  return filter;
+}
+
+app.get("/api/query", authorize("queries:read"), queryListQuery, async (req, res) => {
+  try {
+    const { items: queries, pagination } = await findPage(Query, buildLeadFilter(req.query, req.admin), req.list);
+    res.json({ success: true, queries, pagination });
+  } catch (err) {
+    console.error("Error fetching queries:", err);
+    res.status(500).json({ error: "Failed to fetch queries" });
+  }
+});
+app.get("/api/admin/stats", authorize("stats:read"), async (req, res) => {
+  try {
+    const [packages, hotels, visas, flights, enquiries] = await Promise.all([
+      Destination.countDocuments(),
+      Hotel.countDocuments(),
+      Visa.countDocuments(),
+      Flight.countDocuments(),
+      Query.countDocuments(GENUINE_ENQUIRY), // ✅ total enquiries from Query collection
+    ]);
+
+    res.json({
+      packages,
+      hotels,
+      visas,
+      flights,
+      enquiries,
+    });
+  } catch (err) {
+    console.error("Error fetching stats:", err);
+    res.status(500).json({ message: "Error fetching stats" });
+  }
+});
+app.get("/api/query/monthly", authorize("stats:read"), async (req, res) => {
+  try {
+    const monthly = await Query.aggregate([
+      { $match: GENUINE_ENQUIRY },
+      {
+        $group: {
+          _id: { $month: "$date" },
+          total: { $sum: 1 }
+        }
+      },
+      { $sort: { "_id": 1 } }
+    ]);
+
+    // Map month numbers to names
+   const monthNames = [
+  "January","February","March","April","May","June",
+  "July","August","September","October","November","December"
+];
+    const formatted = monthly.map(m => ({
+      month: monthNames[m._id - 1],
+      enquiries: m.total
+    }));
+
+    res.json(formatted);
+  } catch (err) {
+    console.error("Error fetching monthly queries:", err);
+    res.status(500).json({ error: "Failed to fetch monthly enquiries" });
+  }
+});
+// ===== Lead Pipeline =====
+// Registered after /api/query/monthly so "monthly" isn't taken for an id
+
+// Resolves an admin id that leads can be assigned to; null clears the assignment
+async function resolveAssignee(id) {
+  if (id === null) return { assignee: null };
+  const admin = await Admin.findById(id);
+  if (!admin || admin.disabled) return { error: "Assignee must be an active admin" };
+  if (!hasPermission(admin, "queries:read")) return { error: "Assignee's role cannot work on enquiries" };
+  return { assignee: admin._id };
+}
+
+const leadUpdateRules = {
+  status: { type: "string", enum: LEAD_STATUSES },
+  assignedTo: { type: "objectId", nullable: true },
+  followUpAt: { type: "date", nullable: true },
+};
+
+app.get("/api/query/:id", authorize("queries:read"), async (req, res) => {
+  try {
+    const lead = await Query.findById(req.params.id)
+      .populate("assignedTo", "username")
+      .populate("notes.author", "username")
+      .populate("statusHistory.by", "username")
+      .populate("subject.item", "title name");
+    if (!lead) return res.status(404).json({ success: false, message: "Enquiry not found" });
+    res.json({ success: true, lead });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Update status, assignee and/or follow-up date
+app.patch("/api/query/:id", authorize("leads:manage"), validateBody(leadUpdateRules, { partial: true }), async (req, res) => {
+  try {
+    const { status, assignedTo, followUpAt } = req.body;
+    const lead = await Query.findById(req.params.id);
+    if (!lead) return res.status(404).json({ success: false, message: "Enquiry not found" });
+
+    if (assignedTo !== undefined) {
+      const { assignee, error } = await resolveAssignee(assignedTo);
+      if (error) return res.status(400).json({ success: false, message: error });
+      lead.assignedTo = assignee;
+    }
+    if (followUpAt !== undefined) lead.followUpAt = followUpAt;
+    if (status !== undefined && status !== lead.status) {
+      lead.status = status;
+      lead.statusHistory.push({ status, by: req.admin._id });
+    }
+    await lead.save();
+
+    res.json({ success: true, message: "Enquiry updated", lead });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/query/:id/notes", authorize("leads:manage"), validateBody({ body: { type: "string", required: true, maxLength: 5000 } }), async (req, res) => {
+  try {
+    const lead = await Query.findByIdAndUpdate(
+      req.params.id,
+      { $push: { notes: { body: req.body.body, author: req.admin._id } } },
+      { new: true }
+    );
+    if (!lead) return res.status(404).json({ success: false, message: "Enquiry not found" });
+    res.status(201).json({ success: true, message: "Note added", notes: lead.notes });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Spam review of a quarantined enquiry: "genuine" releases it (and sends the emails it held back),
+// "spam" deletes it
+app.post("/api/query/:id/review", authorize("leads:manage"), validateBody({
+  verdict: { type: "string", required: true, enum: ["genuine", "spam"] },
+}), async (req, res) => {
+  try {
+    if (req.body.verdict === "spam") {
+      const removed = await Query.findOneAndDelete({ _id: req.params.id, quarantined: true });
+      if (!removed) return sendReviewMiss(req, res);
+      return res.json({ success: true, message: "Enquiry deleted as spam" });
+    }
+
+    const lead = await Query.findOneAndUpdate(
+      { _id: req.params.id, quarantined: true },
+      { $set: { quarantined: false, reviewedBy: req.admin._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!lead) return sendReviewMiss(req, res);
+    await notifyEnquiry(lead);
+    res.json({ success: true, message: "Enquiry released", lead });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+async function sendReviewMiss(req, res) {
+  const exists = await Query.exists({ _id: req.params.id });
+  return exists
+    ? res.status(409).json({ success: false, message: "Enquiry is not quarantined" })
+    : res.status(404).json({ success: false, message: "Enquiry not found" });
+}
+
+// Bulk reassignment: the listed leads, or every open lead of `from` (e.g. when someone leaves)
+const leadAssignRules = {
+  ids: { type: "array", of: { type: "objectId" }, maxItems: 500 },
+  from: { type: "objectId" },
+  assignedTo: { type: "objectId", required: true, nullable: true },
+};
+
+app.post("/api/query/assign", authorize("leads:manage"), validateBody(leadAssignRules), async (req, res) => {
+  try {
+    const { ids, from, assignedTo } = req.body;
+    if (!ids?.length && !from) {
+      return res.status(400).json({ success: false, message: "Give either ids or from" });
+    }
+
+    const { assignee, error } = await resolveAssignee(assignedTo);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const filter = ids?.length
+      ? { _id: { $in: ids } }
+      : { assignedTo: from, status: { $nin: ["won", "lost"] } };
+    const result = await Query.updateMany(filter, { $set: { assignedTo: assignee } });
+
+    res.json({ success: true, message: "Enquiries reassigned", matched: result.matchedCount ?? result.n });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Bookings =====
+const BOOKING_STATUSES = ["pending", "confirmed", "cancelled"];
+
+// Pricing rule adjustments in a price snapshot, shared by package bookings and hotel reservations
+const pricingAdjustmentsDefinition = [
+  {
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" },
+    name: String,
+    type: { type: String },
+    amount: Number
+  }
+];
+
+// The coupon a booking/reservation used, so cancelling can give the use back
+const appliedCouponDefinition = {
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+  code: String,
+  discount: Number
+};
+
+// Status change log, shared by package bookings and hotel reservations
+const statusHistoryDefinition = [
+  {
+    status: { type: String, enum: BOOKING_STATUSES },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    note: String
+  }
+];
+
+const bookingSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true },
+  destination: { type: mongoose.Schema.Types.ObjectId, ref: "Destination", required: true },
+  packageTitle: String,
+  departureId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  departureDate: { type: Date, required: true },
+  customer: {
+    name: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, index: true },
+    phone: String
+  },
+  adults: { type: Number, required: true, min: 1 },
+  children: { type: Number, default: 0, min: 0 },
+  singleRooms: { type: Number, default: 0, min: 0 },
+  // Price snapshot at booking time
+  price: {
+    adult: Number,
+    child: Number,
+    singleSupplement: Number,
+    adjustments: pricingAdjustmentsDefinition,
+    total: { type: Number, required: true },
+    currency: String
+  },
+  coupon: appliedCouponDefinition,
+  // Payment plan and running totals; the charges and refunds themselves are Payment documents
+  payment: {
+    plan: { type: String, enum: ["deposit", "full"] },
+    schedule: [
+      {
+        purpose: { type: String, enum: ["deposit", "balance", "full"] },
+        amount: Number,
+        dueAt: Date
+      }
+    ],
+    amountPaid: { type: Number, default: 0 },
+    amountRefunded: { type: Number, default: 0 }
+  },
+  notes: String,
+  status: { type: String, enum: BOOKING_STATUSES, default: "pending", index: true },
+  statusHistory: statusHistoryDefinition
+}, { timestamps: true });
+
+const Booking = mongoose.model("Booking", bookingSchema);
+
+const bookingRules = {
+  packageId: { type: "objectId", required: true },
+  departureId: { type: "objectId", required: true },
+  adults: { type: "number", integer: true, min: 1, max: 50, required: true },
+  children: { type: "number", integer: true, min: 0, max: 50 },
+  singleRooms: { type: "number", integer: true, min: 0, max: 50 },
+  customer: {
+    type: "object",
+    required: true,
+    fields: {
+      name: { type: "string", required: true, maxLength: 100 },
+      email: queryRules.email,
+      phone: queryRules.phone,
+    },
+  },
+  couponCode: { type: "string", maxLength: 40 },
+  notes: { type: "string", maxLength: 2000 },
+};
+
+// Short human-friendly booking reference, e.g. DZ-4K7P9QXA
+function generateReference(prefix) {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(8);
+  return `${prefix}-${Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("")}`;
+}
+
+// Price snapshot stored on a booking or reservation, from its quote
+function priceSnapshot(quote) {
+  return { ...quote.unitPrices, adjustments: quote.adjustments, total: quote.total, currency: quote.currency };
+}
+
+// What a redeemed coupon looks like on a booking or reservation
+function appliedCoupon(redeemed) {
+  return redeemed ? { coupon: redeemed.coupon._id, code: redeemed.coupon.code, discount: redeemed.discount } : undefined;
+}
+
+// Atomically books seats on an open departure if enough are left; resolves false when they aren't
+async function holdDepartureSeats(packageId, departureId, seats) {
+  const depId = new mongoose.Types.ObjectId(String(departureId));
+  const updated = await Destination.findOneAndUpdate(
+    {
+      _id: packageId,
+      $expr: {
+        $anyElementTrue: [{
+          $map: {
+            input: { $ifNull: ["$departures", []] },
+            as: "d",
+            in: {
+              $and: [
+                { $eq: ["$$d._id", depId] },
+                { $ne: ["$$d.status", "closed"] },
+                {
+                  $or: [
+                    { $eq: [{ $ifNull: ["$$d.capacity", null] }, null] },
+                    { $lte: [{ $add: [{ $ifNull: ["$$d.seatsBooked", 0] }, seats] }, "$$d.capacity"] },
+                  ],
+                },
+              ],
+            },
+          },
+        }],
+      },
+    },
+    { $inc: { "departures.$[d].seatsBooked": seats } },
+    { arrayFilters: [{ "d._id": depId }], projection: { _id: 1 } }
+  );
+  return !!updated;
+}
+
+function releaseDepartureSeats(packageId, departureId, seats) {
+  const depId = new mongoose.Types.ObjectId(String(departureId));
+  return Destination.updateOne(
+    { _id: packageId },
+    { $inc: { "departures.$[d].seatsBooked": -seats } },
+    { arrayFilters: [{ "d._id": depId, "d.seatsBooked": { $gte: seats } }] }
+  );
+}
+
+// Moves a booking/reservation from one of `from` statuses to `to`, recording it in the history; null if not allowed.
+// `set`/`unset` change other fields in the same update, so they never disagree with the status.
+function transitionStatus(Model, id, from, to, { by, note, set, unset } = {}) {
+  const update = { $set: { ...set, status: to }, $push: { statusHistory: { status: to, at: new Date(), by, note } } };
+  if (unset) update.$unset = unset;
+  return Model.findOneAndUpdate({ _id: id, status: { $in: from } }, update, { new: true });
+}
+
+// Reserve a package departure
+app.post("/api/bookings", validateBody(bookingRules), async (req, res) => {
+  try {
+    const { packageId, departureId, adults, children = 0, singleRooms = 0, customer, couponCode, notes } = req.body;
+    const email = customer.email.toLowerCase();
+
+    const pkg = await Destination.findById(packageId).select("title price currency pricing departures location");
+    if (!pkg) return res.status(404).json({ success: false, message: "Package not found" });
+
+    const departure = pkg.departures.id(departureId);
+    if (!departure || departure.status === "closed" || departure.date < startOfToday()) {
+      return res.status(400).json({ success: false, message: "This departure is not available for booking" });
+    }
+
+    const rules = await loadPricingRules("package", pkg._id);
+    let quote = quotePackage(pkg, departure, departure.date, { adults, children, singleRooms }, rules);
+    if (!quote) return res.status(400).json({ success: false, message: "This package has no price set" });
+
+    let redeemed = null;
+    if (couponCode) {
+      redeemed = await redeemForQuote(res, couponCode, couponTarget("package", pkg), quote, email);
+      if (!redeemed) return;
+      quote = redeemed.quote;
+    }
+
+    const seats = adults + children;
+    if (!(await holdDepartureSeats(pkg._id, departure._id, seats))) {
+      if (redeemed) await releaseCoupon(redeemed.coupon._id, email);
+      return res.status(409).json({ success: false, message: "Not enough seats left on this departure" });
+    }
+
+    let booking;
+    try {
+      booking = await Booking.create({
+        reference: generateReference("DZ"),
+        destination: pkg._id,
+        packageTitle: pkg.title,
+        departureId: departure._id,
+        departureDate: departure.date,
+        customer,
+        adults,
+        children,
+        singleRooms,
+        price: priceSnapshot(quote),
+        coupon: appliedCoupon(redeemed),
+        notes,
+        statusHistory: [{ status: "pending", note: "Booking requested" }],
+      });
+    } catch (err) {
+      await releaseDepartureSeats(pkg._id, departure._id, seats);
+      if (redeemed) await releaseCoupon(redeemed.coupon._id, email);
+      throw err;
+    }
+
+    const related = { kind: "Booking", id: booking._id };
+    await queueEmail("bookingReceived", booking.customer.email, booking, related);
+    await notifyStaff("bookingStaffAlert", booking, related);
+
+    res.status(201).json({ success: true, message: "Booking received", booking });
+  } catch (err) {
+    console.error("Error creating booking:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Customer lookup by reference; the email must match the booking
+app.get("/api/bookings/:reference", async (req, res) => {
+  try {
+    const booking = await Booking.findOne({ reference: String(req.params.reference).toUpperCase() });
+    if (!booking || booking.customer.email !== String(req.query.email || "").toLowerCase()) {
+      return res.status(404).json({ success: false, message: "Booking not found" });
+    }
+    res.json({ success: true, booking });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const bookingListQuery = listQuery(Booking, {
+  sortable: ["createdAt", "departureDate", "status", "price.total"],
+  defaultSort: "-createdAt",
+});
+
+// Admin list, filter with ?status=&packageId=&email=
+app.get("/api/admin/bookings", authorize("bookings:read"), bookingListQuery, async (req, res) => {
+  try {
+    const filter = {};
+    if (BOOKING_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (mongoose.Types.ObjectId.isValid(req.query.packageId)) filter.destination = req.query.packageId;
+    if (req.query.email) filter["customer.email"] = String(req.query.email).toLowerCase();
+
+    const { items: bookings, pagination } = await findPage(Booking, filter, req.list);
+    res.json({ success: true, bookings, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.get("/api/admin/bookings/:id", authorize("bookings:read"), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate("statusHistory.by", "username");
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+    res.json({ success: true, booking });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/admin/bookings/:id/confirm", authorize("bookings:manage"), async (req, res) => {
+  try {
+    const booking = await transitionStatus(Booking, req.params.id, ["pending"], "confirmed", {
+      by: req.admin._id,
+      note: req.body.note,
+    });
+    if (!booking) {
+      const exists = await Booking.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: "Only pending bookings can be confirmed" })
+        : res.status(404).json({ success: false, message: "Booking not found" });
+    }
+    await queueEmail("bookingStatusChanged", booking.customer.email, booking, { kind: "Booking", id: booking._id });
+    res.json({ success: true, message: "Booking confirmed", booking });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Cancelling gives the seats back to the departure
+app.post("/api/admin/bookings/:id/cancel", authorize("bookings:manage"), async (req, res) => {
+  try {
+    const booking = await transitionStatus(Booking, req.params.id, ["pending", "confirmed"], "cancelled", {
+      by: req.admin._id,
+      note: req.body.note,
+    });
+    if (!booking) {
+      const exists = await Booking.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: "Booking is already cancelled" })
+        : res.status(404).json({ success: false, message: "Booking not found" });
+    }
+
+    await releaseDepartureSeats(booking.destination, booking.departureId, booking.adults + booking.children);
+    await releaseCoupon(booking.coupon?.coupon, booking.customer.email);
+    await queueEmail("bookingStatusChanged", booking.customer.email, booking, { kind: "Booking", id: booking._id });
+    res.json({ success: true, message: "Booking cancelled", booking });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Hotel Rooms & Reservations =====
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STAY_NIGHTS = 30;
+
+// Booked rooms per hotel room type per night; a missing document means nothing is booked
+const hotelInventorySchema = new mongoose.Schema({
+  hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel", required: true },
+  room: { type: mongoose.Schema.Types.ObjectId, required: true },
+  date: { type: Date, required: true }, // UTC midnight of the night
+  booked: { type: Number, default: 0, min: 0 }
+});
+hotelInventorySchema.index({ hotel: 1, room: 1, date: 1 }, { unique: true });
+const HotelInventory = mongoose.model("HotelInventory", hotelInventorySchema);
+
+const hotelReservationSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true },
+  hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel", required: true },
+  hotelTitle: String,
+  room: { type: mongoose.Schema.Types.ObjectId, required: true },
+  roomName: String,
+  checkIn: { type: Date, required: true },
+  checkOut: { type: Date, required: true },
+  nights: { type: Number, required: true },
+  rooms: { type: Number, required: true, min: 1 },
+  guests: { type: Number, required: true, min: 1 },
+  customer: {
+    name: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, index: true },
+    phone: String
+  },
+  price: {
+    nightlyRate: Number, // the room type's standard rate; seasons may change individual nights
+    adjustments: pricingAdjustmentsDefinition,
+    total: { type: Number, required: true },
+    currency: String
+  },
+  coupon: appliedCouponDefinition,
+  notes: String,
+  status: { type: String, enum: BOOKING_STATUSES, default: "pending", index: true },
+  statusHistory: statusHistoryDefinition
+}, { timestamps: true });
+const HotelReservation = mongoose.model("HotelReservation", hotelReservationSchema);
+
+const stayRules = {
+  checkIn: { type: "date", required: true },
+  checkOut: { type: "date", required: true },
+  guests: { type: "number", integer: true, min: 1, max: 50, required: true },
+  rooms: { type: "number", integer: true, min: 1, max: 20 },
+};
+
+const hotelReservationRules = {
+  ...stayRules,
+  roomId: { type: "objectId", required: true },
+  customer: bookingRules.customer,
+  couponCode: bookingRules.couponCode,
+  notes: { type: "string", maxLength: 2000 },
+};
+
+function toUtcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Nights of a stay (UTC midnights from check-in up to, not including, check-out) or { error }
+function stayNights(checkIn, checkOut) {
+  const start = toUtcDay(checkIn);
+  const end = toUtcDay(checkOut);
+  if (start < startOfToday()) return { error: "Check-in can't be in the past" };
+  if (end <= start) return { error: "Check-out must be after check-in" };
+  const count = Math.round((end - start) / DAY_MS);
+  if (count > MAX_STAY_NIGHTS) return { error: `Stays are limited to ${MAX_STAY_NIGHTS} nights` };
+  return { nights: Array.from({ length: count }, (_, i) => new Date(start.getTime() + i * DAY_MS)) };
+}
+
+// Rooms of a type needed for the party: at least `rooms`, and enough beds for everyone
+function roomsNeeded(room, guests, rooms = 1) {
+  return Math.max(rooms, Math.ceil(guests / (room.maxGuests || 1)));
+}
+
+// { [roomId]: { [isoDate]: booked } } for the given nights
+async function bookedByRoomAndNight(hotelId, nights) {
+  const docs = await HotelInventory.find({
+    hotel: hotelId,
+    date: { $gte: nights[0], $lte: nights[nights.length - 1] },
+  });
+  const booked = {};
+  for (const doc of docs) {
+    const key = String(doc.room);
+    booked[key] = booked[key] || {};
+    booked[key][doc.date.toISOString()] = doc.booked;
+  }
+  return booked;
+}
+
+// Books `rooms` rooms for every night, or none of them when any night is full. Resolves true on success.
+async function holdRoomNights(hotelId, room, nights, rooms) {
+  const held = [];
+  for (const date of nights) {
+    const key = { hotel: hotelId, room: room._id, date };
+    try {
+      await HotelInventory.updateOne(key, { $setOnInsert: { booked: 0 } }, { upsert: true });
+    } catch (err) {
+      if (err.code !== 11000) throw err; // created by a concurrent request, fine
+    }
+    const updated = await HotelInventory.findOneAndUpdate(
+      { ...key, booked: { $lte: room.count - rooms } },
+      { $inc: { booked: rooms } }
+    );
+    if (!updated) {
+      await releaseRoomNights(hotelId, room._id, held, rooms);
+      return false;
+    }
+    held.push(date);
+  }
+  return true;
+}
+
+function releaseRoomNights(hotelId, roomId, nights, rooms) {
+  if (!nights.length) return Promise.resolve();
+  return HotelInventory.updateMany(
+    { hotel: hotelId, room: roomId, date: { $in: nights }, booked: { $gte: rooms } },
+    { $inc: { booked: -rooms } }
+  );
+}
+
+// Prices a stay for every room type and reports whether it can be booked
+app.get("/api/hotels/:id/availability", withCurrency, validateQuery({ ...stayRules, currency: currencyRule }), async (req, res) => {
+  try {
+    const { checkIn, checkOut, guests, rooms } = req.validQuery;
+    const stay = stayNights(checkIn, checkOut);
+    if (stay.error) return res.status(400).json({ success: false, message: stay.error });
+
+    const found = await Hotel.findById(req.params.id).select("title currency rooms");
+    if (!found) return res.status(404).json({ success: false, message: "Hotel not found" });
+    const hotel = localizePrices(found, "hotel", req.money);
+
+    const [booked, pricingRules] = await Promise.all([
+      bookedByRoomAndNight(hotel._id, stay.nights),
+      loadPricingRules("hotel", hotel._id),
+    ]);
+    const options = hotel.rooms.map((room) => {
+      const needed = roomsNeeded(room, guests, rooms);
+      const roomBooked = booked[String(room._id)] || {};
+      const calendar = stay.nights.map((date) => ({
+        date,
+        available: Math.max(room.count - (roomBooked[date.toISOString()] || 0), 0),
+      }));
+      const availableRooms = Math.min(...calendar.map((n) => n.available));
+      return {
+        roomId: room._id,
+        name: room.name,
+        maxGuests: room.maxGuests,
+        nightlyRate: room.nightlyRate,
+        roomsNeeded: needed,
+        availableRooms,
+        available: availableRooms >= needed,
+        // Priced from the stored rates so rounding matches the quote endpoint
+        total: convertQuote(
+          quoteHotel(found, found.rooms.id(room._id), stay.nights, { guests, rooms: needed }, pricingRules),
+          req.money
+        ).total,
+        calendar,
+      };
+    });
+
+    res.json({
+      success: true,
+      hotelId: hotel._id,
+      currency: hotel.currency,
+      checkIn: stay.nights[0],
+      checkOut: toUtcDay(checkOut),
+      nights: stay.nights.length,
+      guests,
+      options,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Availability calendar: rooms left per room type per night. ?from=&to= (defaults to the next 30 days)
+app.get("/api/hotels/:id/calendar", async (req, res) => {
+  try {
+    const from = toUtcDay(req.query.from ? new Date(req.query.from) : new Date());
+    const to = req.query.to ? toUtcDay(new Date(req.query.to)) : new Date(from.getTime() + 30 * DAY_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({ success: false, message: "from and to must be valid dates, from before to" });
+    }
+    if ((to - from) / DAY_MS > 366) {
+      return res.status(400).json({ success: false, message: "Calendar range is limited to one year" });
+    }
+
+    const hotel = await Hotel.findById(req.params.id).select("title rooms");
+    if (!hotel) return res.status(404).json({ success: false, message: "Hotel not found" });
+
+    const nights = Array.from({ length: Math.round((to - from) / DAY_MS) }, (_, i) => new Date(from.getTime() + i * DAY_MS));
+    const booked = await bookedByRoomAndNight(hotel._id, nights);
+    const calendar = hotel.rooms.map((room) => ({
+      roomId: room._id,
+      name: room.name,
+      count: room.count,
+      nights: nights.map((date) => {
+        const taken = booked[String(room._id)]?.[date.toISOString()] || 0;
+        return { date, booked: taken, available: Math.max(room.count - taken, 0) };
+      }),
+    }));
+
+    res.json({ success: true, hotelId: hotel._id, calendar });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Reserve rooms for a stay
+app.post("/api/hotels/:id/reservations", validateBody(hotelReservationRules), async (req, res) => {
+  try {
+    const { roomId, checkIn, checkOut, guests, rooms, customer, couponCode, notes } = req.body;
+    const email = customer.email.toLowerCase();
+    const stay = stayNights(checkIn, checkOut);
+    if (stay.error) return res.status(400).json({ success: false, message: stay.error });
+
+    const hotel = await Hotel.findById(req.params.id).select("title currency rooms");
+    if (!hotel) return res.status(404).json({ success: false, message: "Hotel not found" });
+
+    const room = hotel.rooms.id(roomId);
+    if (!room) return res.status(404).json({ success: false, message: "Room type not found" });
+
+    const needed = roomsNeeded(room, guests, rooms);
+    let quote = quoteHotel(hotel, room, stay.nights, { guests, rooms: needed }, await loadPricingRules("hotel", hotel._id));
+
+    let redeemed = null;
+    if (couponCode) {
+      redeemed = await redeemForQuote(res, couponCode, couponTarget("hotel", hotel), quote, email);
+      if (!redeemed) return;
+      quote = redeemed.quote;
+    }
+
+    if (!(await holdRoomNights(hotel._id, room, stay.nights, needed))) {
+      if (redeemed) await releaseCoupon(redeemed.coupon._id, email);
+      return res.status(409).json({ success: false, message: "Not enough rooms available for these dates" });
+    }
+
+    let reservation;
+    try {
+      reservation = await HotelReservation.create({
+        reference: generateReference("HR"),
+        hotel: hotel._id,
+        hotelTitle: hotel.title,
+        room: room._id,
+        roomName: room.name,
+        checkIn: stay.nights[0],
+        checkOut: toUtcDay(checkOut),
+        nights: stay.nights.length,
+        rooms: needed,
+        guests,
+        customer,
+        price: { nightlyRate: room.nightlyRate, ...priceSnapshot(quote) },
+        coupon: appliedCoupon(redeemed),
+        notes,
+        statusHistory: [{ status: "pending", note: "Reservation requested" }],
+      });
+    } catch (err) {
+      await releaseRoomNights(hotel._id, room._id, stay.nights, needed);
+      if (redeemed) await releaseCoupon(redeemed.coupon._id, email);
+      throw err;
+    }
+
+    const related = { kind: "HotelReservation", id: reservation._id };
+    await queueEmail("reservationReceived", reservation.customer.email, reservation, related);
+    await notifyStaff("reservationStaffAlert", reservation, related);
+    res.status(201).json({ success: true, message: "Reservation received", reservation });
+  } catch (err) {
+    console.error("Error creating reservation:", err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+function reservationNights(reservation) {
+  const start = toUtcDay(reservation.checkIn);
+  return Array.from({ length: reservation.nights }, (_, i) => new Date(start.getTime() + i * DAY_MS));
+}
+
+const hotelReservationListQuery = listQuery(HotelReservation, {
+  sortable: ["createdAt", "checkIn", "status", "price.total"],
+  defaultSort: "-createdAt",
+});
+
+// Admin list, filter with ?status=&hotelId=&email=
+app.get("/api/admin/hotel-reservations", authorize("bookings:read"), hotelReservationListQuery, async (req, res) => {
+  try {
+    const filter = {};
+    if (BOOKING_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (mongoose.Types.ObjectId.isValid(req.query.hotelId)) filter.hotel = req.query.hotelId;
+    if (req.query.email) filter["customer.email"] = String(req.query.email).toLowerCase();
+
+    const { items: reservations, pagination } = await findPage(HotelReservation, filter, req.list);
+    res.json({ success: true, reservations, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/admin/hotel-reservations/:id/confirm", authorize("bookings:manage"), async (req, res) => {
+  try {
+    const reservation = await transitionStatus(HotelReservation, req.params.id, ["pending"], "confirmed", {
+      by: req.admin._id,
+      note: req.body.note,
+    });
+    if (!reservation) {
+      const exists = await HotelReservation.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: "Only pending reservations can be confirmed" })
+        : res.status(404).json({ success: false, message: "Reservation not found" });
+    }
+    await queueEmail("reservationStatusChanged", reservation.customer.email, reservation,
+      { kind: "HotelReservation", id: reservation._id });
+    res.json({ success: true, message: "Reservation confirmed", reservation });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Cancelling returns the rooms to inventory
+app.post("/api/admin/hotel-reservations/:id/cancel", authorize("bookings:manage"), async (req, res) => {
+  try {
+    const reservation = await transitionStatus(HotelReservation, req.params.id, ["pending", "confirmed"], "cancelled", {
+      by: req.admin._id,
+      note: req.body.note,
+    });
+    if (!reservation) {
+      const exists = await HotelReservation.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: "Reservation is already cancelled" })
+        : res.status(404).json({ success: false, message: "Reservation not found" });
+    }
+
+    await releaseRoomNights(reservation.hotel, reservation.room, reservationNights(reservation), reservation.rooms);
+    await releaseCoupon(reservation.coupon?.coupon, reservation.customer.email);
+    await queueEmail("reservationStatusChanged", reservation.customer.email, reservation,
+      { kind: "HotelReservation", id: reservation._id });
+    res.json({ success: true, message: "Reservation cancelled", reservation });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Pricing Rules =====
+// Adjust package and hotel prices without editing them by hand. Each rule applies to some or all
+// packages (or hotels) and is one of:
+//   season       travel date (a hotel: each night) in startDate..endDate; "fixed" replaces the unit price
+//   early_bird   booked at least minDaysBefore days ahead
+//   last_minute  booked at most maxDaysBefore days ahead
+//   group        at least minTravellers travellers (a hotel: guests)
+// The adjustment is a percentage (-10 = 10% off) or an amount in the record's currency per traveller
+// (a hotel: per room night). Quotes apply at most one rule of each type, the highest priority one:
+// the season sets the unit prices, then the other adjustments are each computed on the seasonal
+// subtotal and added up. The single room supplement is never adjusted. Totals don't go below zero.
+const PRICING_RULE_TYPES = ["season", "early_bird", "last_minute", "group"];
+const PRICING_ADJUSTMENT_KINDS = ["percent", "amount", "fixed"];
+
+const pricingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  appliesTo: { type: String, enum: ["package", "hotel"], required: true },
+  items: [{ type: mongoose.Schema.Types.ObjectId }], // packages/hotels it applies to; empty = all of them
+  type: { type: String, enum: PRICING_RULE_TYPES, required: true },
+  active: { type: Boolean, default: true },
+  priority: { type: Number, default: 0 },
+  startDate: Date,
+  endDate: Date,
+  minDaysBefore: Number,
+  maxDaysBefore: Number,
+  minTravellers: Number,
+  adjustment: {
+    kind: { type: String, enum: PRICING_ADJUSTMENT_KINDS, required: true },
+    value: { type: Number, required: true }
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }
+}, { timestamps: true });
+pricingRuleSchema.index({ appliesTo: 1, active: 1 });
+const PricingRule = mongoose.model("PricingRule", pricingRuleSchema);
+
+// Fields each rule type needs besides the adjustment
+const PRICING_RULE_FIELDS = {
+  season: ["startDate", "endDate"],
+  early_bird: ["minDaysBefore"],
+  last_minute: ["maxDaysBefore"],
+  group: ["minTravellers"],
+};
+
+const pricingRuleRules = {
+  name: { type: "string", required: true, maxLength: 100 },
+  appliesTo: { type: "string", required: true, enum: ["package", "hotel"] },
+  items: { type: "array", of: { type: "objectId" }, maxItems: 500 },
+  type: { type: "string", required: true, enum: PRICING_RULE_TYPES },
+  active: { type: "boolean" },
+  priority: { type: "number", integer: true, min: -1000, max: 1000 },
+  startDate: { type: "date", nullable: true },
+  endDate: { type: "date", nullable: true },
+  minDaysBefore: { type: "number", integer: true, min: 0, nullable: true },
+  maxDaysBefore: { type: "number", integer: true, min: 0, nullable: true },
+  minTravellers: { type: "number", integer: true, min: 1, nullable: true },
+  adjustment: {
+    type: "object",
+    required: true,
+    fields: {
+      kind: { type: "string", required: true, enum: PRICING_ADJUSTMENT_KINDS },
+      value: { type: "number", required: true },
+    },
+  },
+};
+
+// Checks that need the whole rule (after merging an update into the stored rule)
+function pricingRuleProblems(rule) {
+  const errors = [];
+  for (const field of PRICING_RULE_FIELDS[rule.type]) {
+    if (rule[field] == null) errors.push({ field, message: `is required for ${rule.type} rules` });
+  }
+  if (rule.type === "season" && rule.startDate && rule.endDate && rule.endDate < rule.startDate) {
+    errors.push({ field: "endDate", message: "must not be before startDate" });
+  }
+  const { kind, value } = rule.adjustment;
+  if (kind === "fixed" && rule.type !== "season") {
+    errors.push({ field: "adjustment.kind", message: "fixed prices are only for season rules" });
+  }
+  if (kind === "fixed" && value < 0) errors.push({ field: "adjustment.value", message: "must be at least 0 for a fixed price" });
+  if (kind === "percent" && value < -100) errors.push({ field: "adjustment.value", message: "must be at least -100" });
+  return errors;
+}
+
+// Active rules for one package or hotel, most important first
+function loadPricingRules(appliesTo, itemId) {
+  return PricingRule.find({
+    appliesTo,
+    active: true,
+    $or: [{ items: itemId }, { "items.0": { $exists: false } }],
+  }).sort({ priority: -1, createdAt: -1 }).lean();
+}
+
+function ruleMatches(rule, { date, daysBefore, travellers }) {
+  switch (rule.type) {
+    case "season": return date >= toUtcDay(new Date(rule.startDate)) && date <= toUtcDay(new Date(rule.endDate));
+    case "early_bird": return daysBefore >= rule.minDaysBefore;
+    case "last_minute": return daysBefore <= rule.maxDaysBefore;
+    case "group": return travellers >= rule.minTravellers;
+    default: return false;
+  }
+}
+
+// The seasonal unit price for a date, and the season rule that set it
+function seasonalPrice(unitPrice, rules, date, currency) {
+  const season = rules.find((r) => r.type === "season" && ruleMatches(r, { date }));
+  if (!season || unitPrice == null) return { price: unitPrice, rule: null };
+  const { kind, value } = season.adjustment;
+  const price = kind === "fixed" ? value
+    : kind === "percent" ? unitPrice * (1 + value / 100)
+    : unitPrice + value;
+  return { price: roundMoney(Math.max(price, 0), currency), rule: season };
+}
+
+// Early-bird, last-minute and group adjustments on a subtotal of `units` priced units
+function ruleAdjustments(rules, context, { subtotal, units, currency }) {
+  const adjustments = [];
+  for (const type of ["early_bird", "last_minute", "group"]) {
+    const rule = rules.find((r) => r.type === type && ruleMatches(r, context));
+    if (!rule) continue;
+    const { kind, value } = rule.adjustment;
+    const amount = kind === "percent" ? (subtotal * value) / 100 : value * units;
+    adjustments.push({ rule: rule._id, name: rule.name, type, amount: roundMoney(amount, currency) });
+  }
+  return adjustments;
+}
+
+function daysUntil(date) {
+  return Math.round((toUtcDay(date) - startOfToday()) / DAY_MS);
+}
+
+function finishQuote(quote) {
+  const subtotal = quote.lines.reduce((sum, line) => sum + line.amount, 0);
+  const adjusted = subtotal + quote.adjustments.reduce((sum, a) => sum + a.amount, 0);
+  return { ...quote, subtotal: roundMoney(subtotal, quote.currency), total: roundMoney(Math.max(adjusted, 0), quote.currency) };
+}
+
+// Package price for a party travelling on `travelDate`, from the departure's prices (or the
+// package prices without one). null when the package has no price.
+function quotePackage(pkg, departure, travelDate, { adults, children = 0, singleRooms = 0 }, rules) {
+  const base = departurePricing(pkg, departure);
+  if (base.adult == null) return null;
+  const currency = pkg.currency || BASE_CURRENCY;
+  const date = toUtcDay(travelDate);
+
+  const adult = seasonalPrice(base.adult, rules, date, currency);
+  const child = seasonalPrice(base.child ?? base.adult, rules, date, currency);
+  const singleSupplement = base.singleSupplement ?? 0;
+  const season = adult.rule;
+
+  const lines = [
+    { label: "Adult", quantity: adults, unitPrice: adult.price },
+    { label: "Child", quantity: children, unitPrice: child.price },
+  ]
+    .filter((line) => line.quantity > 0)
+    .map((line) => ({ ...line, amount: roundMoney(line.unitPrice * line.quantity, currency), season: season?.name }));
+  const personSubtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (singleRooms > 0) {
+    lines.push({
+      label: "Single room supplement",
+      quantity: singleRooms,
+      unitPrice: singleSupplement,
+      amount: roundMoney(singleSupplement * singleRooms, currency),
+    });
+  }
+
+  const adjustments = ruleAdjustments(
+    rules,
+    { daysBefore: daysUntil(date), travellers: adults + children },
+    { subtotal: personSubtotal, units: adults + children, currency }
+  );
+  return finishQuote({
+    currency,
+    travelDate: date,
+    unitPrices: { adult: adult.price, child: child.price, singleSupplement },
+    lines,
+    adjustments,
+  });
+}
+
+// Hotel price for `rooms` rooms of one room type over the stay's nights, each night priced on its own
+function quoteHotel(hotel, room, nights, { guests, rooms }, rules) {
+  const currency = hotel.currency || BASE_CURRENCY;
+  const lines = nights.map((date) => {
+    const { price, rule } = seasonalPrice(room.nightlyRate, rules, date, currency);
+    return {
+      label: `Night of ${date.toISOString().slice(0, 10)}`,
+      quantity: rooms,
+      unitPrice: price,
+      amount: roundMoney(price * rooms, currency),
+      season: rule?.name,
+    };
+  });
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const adjustments = ruleAdjustments(
+    rules,
+    { daysBefore: daysUntil(nights[0]), travellers: guests },
+    { subtotal, units: rooms * nights.length, currency }
+  );
+  return finishQuote({ currency, checkIn: nights[0], nights: nights.length, rooms, lines, adjustments });
+}
+
+// A quote with its amounts in money.currency, totals recomputed from the converted lines
+function convertQuote(quote, money) {
+  const from = quote.currency;
+  if (!money || from === money.currency || !money.rates.has(from)) return quote;
+  const convert = (amount) => convertMoney(amount, from, money.currency, money.rates);
+  const converted = {
+    ...quote,
+    currency: money.currency,
+    lines: quote.lines.map((line) => {
+      const unitPrice = convert(line.unitPrice);
+      return { ...line, unitPrice, amount: roundMoney(unitPrice * line.quantity, money.currency) };
+    }),
+    adjustments: quote.adjustments.map((a) => ({ ...a, amount: convert(a.amount) })),
+  };
+  if (quote.unitPrices) {
+    converted.unitPrices = Object.fromEntries(Object.entries(quote.unitPrices).map(([k, v]) => [k, convert(v)]));
+  }
+  return finishQuote(converted);
+}
+
+// What a package quote is for: a departure (or a travel date) and the party
+const packageQuoteRules = {
+  departureId: { type: "objectId" },
+  date: { type: "date" }, // travel date, for packages without scheduled departures
+  adults: { type: "number", integer: true, min: 1, max: 50, required: true },
+  children: { type: "number", integer: true, min: 0, max: 50 },
+  singleRooms: { type: "number", integer: true, min: 0, max: 50 },
+};
+
+// What a hotel quote is for: a room type, the stay and the party
+const hotelQuoteRules = {
+  ...stayRules,
+  roomId: { type: "objectId", required: true },
+};
+
+// Loads a package and quotes it: { record, quote, departure } or { status, error }
+async function packageQuoteFor(id, { departureId, date, ...party }) {
+  if (!departureId && !date) return { status: 400, error: "Give a departureId or a travel date" };
+
+  const pkg = await Destination.findById(id).select("title price currency pricing departures location");
+  if (!pkg) return { status: 404, error: "Package not found" };
+
+  let departure = null;
+  if (departureId) {
+    departure = pkg.departures.id(departureId);
+    if (!departure) return { status: 404, error: "Departure not found" };
+  }
+  const travelDate = departure ? departure.date : date;
+  if (toUtcDay(travelDate) < startOfToday()) return { status: 400, error: "The travel date has passed" };
+
+  const quote = quotePackage(pkg, departure, travelDate, party, await loadPricingRules("package", pkg._id));
+  if (!quote) return { status: 400, error: "This package has no price set" };
+  return { record: pkg, departure, quote };
+}
+
+// Loads a hotel and quotes a stay: { record, room, quote } or { status, error }
+async function hotelQuoteFor(id, { roomId, checkIn, checkOut, guests, rooms }) {
+  const stay = stayNights(checkIn, checkOut);
+  if (stay.error) return { status: 400, error: stay.error };
+
+  const hotel = await Hotel.findById(id).select("title currency rooms");
+  if (!hotel) return { status: 404, error: "Hotel not found" };
+  const room = hotel.rooms.id(roomId);
+  if (!room) return { status: 404, error: "Room type not found" };
+
+  const party = { guests, rooms: roomsNeeded(room, guests, rooms) };
+  const quote = quoteHotel(hotel, room, stay.nights, party, await loadPricingRules("hotel", hotel._id));
+  return { record: hotel, room, quote };
+}
+
+// GET /api/packages/:id/quote?departureId=|date=&adults=&children=&singleRooms=&currency=
+app.get("/api/packages/:id/quote", withCurrency, validateQuery({ ...packageQuoteRules, currency: currencyRule }), async (req, res) => {
+  try {
+    const priced = await packageQuoteFor(req.params.id, req.validQuery);
+    if (priced.error) return res.status(priced.status).json({ success: false, message: priced.error });
+    res.json({
+      success: true,
+      packageId: priced.record._id,
+      departureId: priced.departure?._id,
+      quote: convertQuote(priced.quote, req.money),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// GET /api/hotels/:id/quote?roomId=&checkIn=&checkOut=&guests=&rooms=&currency=
+app.get("/api/hotels/:id/quote", withCurrency, validateQuery({ ...hotelQuoteRules, currency: currencyRule }), async (req, res) => {
+  try {
+    const priced = await hotelQuoteFor(req.params.id, req.validQuery);
+    if (priced.error) return res.status(priced.status).json({ success: false, message: priced.error });
+    res.json({
+      success: true,
+      hotelId: priced.record._id,
+      roomId: priced.room._id,
+      quote: convertQuote(priced.quote, req.money),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const pricingRuleListQuery = listQuery(PricingRule, {
+  sortable: ["createdAt", "priority", "name", "startDate"],
+  defaultSort: "-priority",
+});
+
+// Admin list, filter with ?appliesTo=&type=&itemId=&active=
+app.get("/api/admin/pricing-rules", authorize("content:read"), pricingRuleListQuery, async (req, res) => {
+  try {
+    const filter = {};
+    if (["package", "hotel"].includes(req.query.appliesTo)) filter.appliesTo = req.query.appliesTo;
+    if (PRICING_RULE_TYPES.includes(req.query.type)) filter.type = req.query.type;
+    if (mongoose.Types.ObjectId.isValid(req.query.itemId)) {
+      filter.$or = [{ items: req.query.itemId }, { "items.0": { $exists: false } }];
+    }
+    if (req.query.active === "true" || req.query.active === "false") filter.active = req.query.active === "true";
+
+    const { items: rules, pagination } = await findPage(PricingRule, filter, req.list);
+    res.json({ success: true, rules, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/admin/pricing-rules", authorize("content:write"), validateBody(pricingRuleRules), async (req, res) => {
+  try {
+    const errors = pricingRuleProblems(req.body);
+    if (errors.length) return res.status(400).json({ success: false, message: "Validation failed", errors });
+
+    const rule = await PricingRule.create({ ...req.body, createdBy: req.admin._id });
+    res.status(201).json({ success: true, message: "Pricing rule added", rule });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.put("/api/admin/pricing-rules/:id", authorize("content:write"), validateBody(pricingRuleRules, { partial: true }), async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: "Pricing rule not found" });
+
+    rule.set(req.body);
+    const errors = pricingRuleProblems(rule.toObject());
+    if (errors.length) return res.status(400).json({ success: false, message: "Validation failed", errors });
+
+    await rule.save();
+    res.json({ success: true, message: "Pricing rule updated", rule });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.delete("/api/admin/pricing-rules/:id", authorize("content:delete"), async (req, res) => {
+  try {
+    const rule = await PricingRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: "Pricing rule not found" });
+    res.json({ success: true, message: "Pricing rule deleted" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Coupons =====
+// Promo codes taken off a package or hotel quote after the pricing rules. A coupon is either a
+// percentage (optionally capped by maxDiscount) or a fixed amount, both in the coupon's currency and
+// converted to the quote's. Restrictions: validity window, minimum spend, total and per-customer
+// use caps, and specific packages/hotels or package countries (hotels have no structured country,
+// so country-restricted coupons only work on packages).
+// A use is counted when a booking or reservation is made and given back when it's cancelled.
+const COUPON_VALIDATE_THROTTLE = {
+  windowMs: (Number(process.env.COUPON_VALIDATE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  max: Number(process.env.COUPON_VALIDATE_MAX_PER_IP) || 30,
+};
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  kind: { type: String, enum: ["percent", "fixed"], required: true },
+  value: { type: Number, required: true, min: 0 },
+  currency: { type: String, uppercase: true, default: BASE_CURRENCY }, // of value, maxDiscount and minSpend
+  maxDiscount: Number,
+  minSpend: Number,
+  startsAt: Date,
+  endsAt: Date,
+  maxUses: Number,             // unset = unlimited
+  maxUsesPerCustomer: Number,  // unset = unlimited
+  uses: { type: Number, default: 0, min: 0 },
+  appliesTo: [{ type: String, enum: ["package", "hotel"] }], // empty = both
+  items: [{ type: mongoose.Schema.Types.ObjectId }],          // packages/hotels; empty = any
+  countries: [String],                                       // package location.country; empty = any
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }
+}, { timestamps: true });
+const Coupon = mongoose.model("Coupon", couponSchema);
+
+// Uses per customer; one document per coupon and email
+const couponUsageSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+  email: { type: String, required: true, lowercase: true },
+  count: { type: Number, default: 0, min: 0 }
+});
+couponUsageSchema.index({ coupon: 1, email: 1 }, { unique: true });
+const CouponUsage = mongoose.model("CouponUsage", couponUsageSchema);
+
+const couponRules = {
+  code: { type: "string", required: true, uppercase: true, maxLength: 40, pattern: /^[A-Z0-9_-]+$/, patternMessage: "may only contain letters, digits, - and _" },
+  description: { type: "string", maxLength: 500 },
+  kind: { type: "string", required: true, enum: ["percent", "fixed"] },
+  value: { ...priceRule, required: true },
+  currency: currencyRule,
+  maxDiscount: { ...priceRule, nullable: true },
+  minSpend: { ...priceRule, nullable: true },
+  startsAt: { type: "date", nullable: true },
+  endsAt: { type: "date", nullable: true },
+  maxUses: { type: "number", integer: true, min: 1, nullable: true },
+  maxUsesPerCustomer: { type: "number", integer: true, min: 1, nullable: true },
+  appliesTo: { type: "array", of: { type: "string", enum: ["package", "hotel"] }, split: true },
+  items: { type: "array", of: { type: "objectId" }, maxItems: 500 },
+  countries: { ...stringListRule, maxItems: 100 },
+  active: { type: "boolean" },
+};
+
+function couponProblems(coupon) {
+  const errors = [];
+  if (coupon.kind === "percent" && coupon.value > 100) errors.push({ field: "value", message: "must be at most 100 for a percentage" });
+  if (coupon.startsAt && coupon.endsAt && coupon.endsAt < coupon.startsAt) {
+    errors.push({ field: "endsAt", message: "must not be before startsAt" });
+  }
+  return errors;
+}
+
+// What a quote is for, as far as coupon restrictions go
+function couponTarget(kind, record) {
+  return { kind, item: record._id, country: kind === "package" ? record.location?.country : undefined };
+}
+
+// Why a coupon can't be used for this target/quote/customer, or null when it can
+async function couponRefusal(coupon, target, quote, email, rates) {
+  const now = new Date();
+  if (!coupon || !coupon.active) return "This code is not valid";
+  if (coupon.startsAt && coupon.startsAt > now) return "This code is not active yet";
+  if (coupon.endsAt && coupon.endsAt < now) return "This code has expired";
+  if (coupon.maxUses != null && coupon.uses >= coupon.maxUses) return "This code has been used up";
+  if (coupon.appliesTo?.length && !coupon.appliesTo.includes(target.kind)) return `This code can't be used for a ${target.kind}`;
+  if (coupon.items?.length && !coupon.items.some((id) => String(id) === String(target.item))) {
+    return `This code can't be used for this ${target.kind}`;
+  }
+  if (coupon.countries?.length) {
+    const country = String(target.country || "").toLowerCase();
+    if (!coupon.countries.some((c) => c.toLowerCase() === country)) return "This code can't be used for this destination";
+  }
+  // Every amount of the coupon has to convert, or the discount would silently come out as 0 or NaN
+  const toQuote = (amount) => convertMoney(amount, coupon.currency || BASE_CURRENCY, quote.currency, rates);
+  const amounts = [coupon.kind === "fixed" ? coupon.value : null, coupon.maxDiscount, coupon.minSpend];
+  if (amounts.some((amount) => amount != null && toQuote(amount) === undefined)) return "This code can't be used in this currency";
+  if (coupon.minSpend != null) {
+    const minSpend = toQuote(coupon.minSpend);
+    if (quote.total < minSpend) return `This code needs a minimum spend of ${minSpend} ${quote.currency}`;
+  }
+  if (email && coupon.maxUsesPerCustomer != null) {
+    const usage = await CouponUsage.findOne({ coupon: coupon._id, email: email.toLowerCase() });
+    if ((usage?.count || 0) >= coupon.maxUsesPerCustomer) return "You have already used this code";
+  }
+  return null;
+}
+
+// Discount in the quote's currency, never more than the quote total
+function couponDiscount(coupon, quote, rates) {
+  const toQuote = (amount) => convertMoney(amount, coupon.currency || BASE_CURRENCY, quote.currency, rates);
+  let discount = coupon.kind === "percent" ? (quote.total * coupon.value) / 100 : toQuote(coupon.value);
+  if (coupon.kind === "percent" && coupon.maxDiscount != null) discount = Math.min(discount, toQuote(coupon.maxDiscount));
+  return roundMoney(Math.min(discount ?? 0, quote.total), quote.currency);
+}
+
+function applyCouponToQuote(quote, coupon, discount) {
+  return finishQuote({
+    ...quote,
+    adjustments: [...quote.adjustments, { name: coupon.code, type: "coupon", amount: -discount }],
+  });
+}
+
+// Checks a code against a quote and prices it in. { error } when the code can't be used.
+async function priceWithCoupon(code, target, quote, email) {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  const rates = await loadRates();
+  const error = await couponRefusal(coupon, target, quote, email, rates);
+  if (error) return { error };
+  const discount = couponDiscount(coupon, quote, rates);
+  return { coupon, discount, quote: applyCouponToQuote(quote, coupon, discount) };
+}
+
+// Counts one use atomically against both caps; false when either is reached
+async function redeemCoupon(coupon, email) {
+  const counted = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      active: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ["$uses", "$maxUses"] } }],
+    },
+    { $inc: { uses: 1 } },
+    { new: true }
+  );
+  if (!counted) return false;
+  if (coupon.maxUsesPerCustomer == null) {
+    await CouponUsage.updateOne({ coupon: coupon._id, email }, { $inc: { count: 1 } }, { upsert: true });
+    return true;
+  }
+
+  try {
+    // At the cap the filter misses, the upsert tries to insert a second document and hits the unique index
+    await CouponUsage.findOneAndUpdate(
+      { coupon: coupon._id, email, count: { $lt: coupon.maxUsesPerCustomer } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (err) {
+    await Coupon.updateOne({ _id: coupon._id }, { $inc: { uses: -1 } });
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+// Gives back a use when its booking/reservation is cancelled
+async function releaseCoupon(couponId, email) {
+  if (!couponId) return;
+  await Promise.all([
+    Coupon.updateOne({ _id: couponId, uses: { $gt: 0 } }, { $inc: { uses: -1 } }),
+    CouponUsage.updateOne({ coupon: couponId, email, count: { $gt: 0 } }, { $inc: { count: -1 } }),
+  ]);
+}
+
+// Prices a booking/reservation quote with its coupon and counts the use. Answers the request and
+// returns null when the code can't be used.
+async function redeemForQuote(res, couponCode, target, quote, email) {
+  const priced = await priceWithCoupon(couponCode, target, quote, email);
+  if (priced.error) {
+    res.status(400).json({ success: false, message: priced.error });
+    return null;
+  }
+  if (!(await redeemCoupon(priced.coupon, email))) {
+    res.status(409).json({ success: false, message: "This code has been used up" });
+    return null;
+  }
+  return priced;
+}
+
+// POST /api/coupons/validate?currency=
+//   { code, email?, package: { id, departureId | date, adults, children?, singleRooms? } }
+//   { code, email?, hotel: { id, roomId, checkIn, checkOut, guests, rooms? } }
+// Answers with the quote including the discount; nothing is counted until a booking is made.
+const couponValidateRules = {
+  code: { type: "string", required: true, maxLength: 40 },
+  email: { ...queryRules.email, required: false }, // checks the per-customer cap when given
+  package: { type: "object", fields: { id: { type: "objectId", required: true }, ...packageQuoteRules } },
+  hotel: { type: "object", fields: { id: { type: "objectId", required: true }, ...hotelQuoteRules } },
+};
+
+app.post("/api/coupons/validate", withCurrency, validateBody(couponValidateRules), async (req, res) => {
+  try {
+    // Limits guessing codes through this endpoint
+    const ipHit = await throttleStore.hit(`coupon-validate:ip:${req.ip}`, COUPON_VALIDATE_THROTTLE.windowMs);
+    if (ipHit.count > COUPON_VALIDATE_THROTTLE.max) {
+      return sendTooManyRequests(res, ipHit.resetAt, "Too many coupon checks from this address, try again later");
+    }
+
+    const { code, email, package: pkgParams, hotel: hotelParams } = req.body;
+    if (!pkgParams === !hotelParams) {
+      return res.status(400).json({ success: false, message: "Give either package or hotel" });
+    }
+
+    const kind = pkgParams ? "package" : "hotel";
+    const { id, ...params } = pkgParams || hotelParams;
+    const priced = kind === "package" ? await packageQuoteFor(id, params) : await hotelQuoteFor(id, params);
+    if (priced.error) return res.status(priced.status).json({ success: false, message: priced.error });
+
+    const withCoupon = await priceWithCoupon(code, couponTarget(kind, priced.record), priced.quote, email);
+    if (withCoupon.error) return res.status(400).json({ success: false, message: withCoupon.error });
+
+    res.json({
+      success: true,
+      coupon: { code: withCoupon.coupon.code, description: withCoupon.coupon.description },
+      quote: convertQuote(withCoupon.quote, req.money),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const couponListQuery = listQuery(Coupon, {
+  sortable: ["createdAt", "code", "endsAt", "uses"],
+  defaultSort: "-createdAt",
+});
+
+// Admin list, filter with ?active=&q= (code prefix)
+app.get("/api/admin/coupons", authorize("coupons:manage"), couponListQuery, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active === "true" || req.query.active === "false") filter.active = req.query.active === "true";
+    if (req.query.q) filter.code = new RegExp(`^${escapeRegex(String(req.query.q).toUpperCase())}`);
+
+    const { items: coupons, pagination } = await findPage(Coupon, filter, req.list);
+    res.json({ success: true, coupons, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/admin/coupons", authorize("coupons:manage"), validateBody(couponRules), requireRatedCurrency, async (req, res) => {
+  try {
+    const errors = couponProblems(req.body);
+    if (errors.length) return res.status(400).json({ success: false, message: "Validation failed", errors });
+    if (await Coupon.exists({ code: req.body.code })) {
+      return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+    }
+
+    const coupon = await Coupon.create({ ...req.body, createdBy: req.admin._id });
+    res.status(201).json({ success: true, message: "Coupon added", coupon });
+  } catch (err) {
+    // Another request took the code between the check above and the write
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.put("/api/admin/coupons/:id", authorize("coupons:manage"), validateBody(couponRules, { partial: true }), requireRatedCurrency, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: "Coupon not found" });
+    if (req.body.code && req.body.code !== coupon.code && await Coupon.exists({ code: req.body.code })) {
+      return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+    }
+
+    coupon.set(req.body);
+    const errors = couponProblems(coupon.toObject());
+    if (errors.length) return res.status(400).json({ success: false, message: "Validation failed", errors });
+
+    await coupon.save();
+    res.json({ success: true, message: "Coupon updated", coupon });
+  } catch (err) {
+    // Another request took the code between the check above and the write
+    if (err.code === 11000) return res.status(409).json({ success: false, message: "A coupon with this code already exists" });
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Used coupons stay for the booking records; deactivate them instead
+app.delete("/api/admin/coupons/:id", authorize("coupons:manage"), async (req, res) => {
+  try {
+    const coupon = await Coupon.findOneAndDelete({ _id: req.params.id, uses: 0 });
+    if (!coupon) {
+      const exists = await Coupon.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ success: false, message: "This coupon has been used; deactivate it instead" })
+        : res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+    await CouponUsage.deleteMany({ coupon: coupon._id });
+    res.json({ success: true, message: "Coupon deleted" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Payments =====
+// Package bookings are paid through the payment provider picked with PAYMENT_PROVIDER. There is no
+// default: without it online payment is switched off, and "mock" is only accepted when NODE_ENV is
+// development or test.
+// A provider implements:
+//   createPayment({ amount, currency, reference, description, idempotencyKey })
+//     -> { providerPaymentId, status: "pending" | "succeeded" | "failed", checkoutUrl }
+//   refund({ providerPaymentId, amount, currency, idempotencyKey })
+//     -> { providerRefundId, status: "pending" | "succeeded" | "failed" }
+//   parseWebhook(rawBody, headers) -> { id, type, data: { providerPaymentId | providerRefundId, reason } }
+//     throwing when the signature doesn't check out. Event types: payment.succeeded, payment.failed,
+//     refund.succeeded, refund.failed.
+// The mock provider keeps payments pending until POST /api/payments/mock/:providerPaymentId/:outcome
+// sends it a signed webhook, so the whole flow can be run locally.
+//
+// Customers pay in full, or a deposit (package paymentTerms.depositPercent, else PAYMENT_DEPOSIT_PERCENT)
+// with the balance due paymentTerms.balanceDueDays (else PAYMENT_BALANCE_DUE_DAYS) before departure.
+// Departures closer than that must be paid in full. Every charge and refund is a Payment document:
+// the booking's payment ledger.
+const PAYMENT_DEPOSIT_PERCENT = Number(process.env.PAYMENT_DEPOSIT_PERCENT) || 25;
+const PAYMENT_BALANCE_DUE_DAYS = Number(process.env.PAYMENT_BALANCE_DUE_DAYS) || 30;
+const PAYMENT_WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+// Without a configured secret webhooks can only come from this process (the mock provider)
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+
+const PAYMENT_STATUSES = ["pending", "succeeded", "failed"];
+
+const paymentSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: "Booking", required: true, index: true },
+  kind: { type: String, enum: ["charge", "refund"], required: true },
+  purpose: { type: String, enum: ["deposit", "balance", "full", "refund"], required: true },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, required: true },
+  status: { type: String, enum: PAYMENT_STATUSES, default: "pending", index: true },
+  provider: { type: String, required: true },
+  providerPaymentId: String,
+  providerRefundId: String,
+  checkoutUrl: String,
+  charge: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" }, // the charge a refund gives money back from
+  // Charges: refunds succeeded or in flight, reserved before the provider is asked to refund
+  refundedAmount: { type: Number, default: 0 },
+  idempotencyKey: { type: String, unique: true, sparse: true },
+  reason: String,           // refund reason or failure reason
+  settledAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }, // refunds
+  events: [
+    {
+      type: { type: String },
+      eventId: String,
+      at: { type: Date, default: Date.now }
+    }
+  ]
+}, { timestamps: true });
+paymentSchema.index({ provider: 1, providerPaymentId: 1 });
+paymentSchema.index({ provider: 1, providerRefundId: 1 });
+// One payment at a time: a booking can only have one charge waiting for the customer
+paymentSchema.index({ booking: 1 }, { unique: true, partialFilterExpression: { kind: "charge", status: "pending" } });
+const Payment = mongoose.model("Payment", paymentSchema);
+
+// Webhook events already handled, so a redelivered event is acknowledged without being applied twice
+const paymentEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: String,
+  receivedAt: { type: Date, default: Date.now }
+});
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema);
+
+// "t=<unix ms>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+function signWebhook(rawBody, timestamp = Date.now()) {
+  const signature = crypto.createHmac("sha256", PAYMENT_WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function verifyWebhookSignature(rawBody, header) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((p) => p.split("=")));
+  const timestamp = Number(parts.t);
+  if (!timestamp || Math.abs(Date.now() - timestamp) > PAYMENT_WEBHOOK_TOLERANCE_MS) throw new Error("Stale or missing webhook timestamp");
+  const expected = Buffer.from(signWebhook(rawBody, timestamp).split("v1=")[1], "hex");
+  const given = Buffer.from(String(parts.v1 || ""), "hex");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new Error("Invalid webhook signature");
+}
+
+function createMockPaymentProvider() {
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+  return {
+    name: "mock",
+    async createPayment() {
+      const providerPaymentId = newId("mockpay");
+      // POST here to pay; .../fail to have the payment declined
+      return { providerPaymentId, status: "pending", checkoutUrl: `/api/payments/mock/${providerPaymentId}/succeed` };
+    },
+    async refund() {
+      return { providerRefundId: newId("mockref"), status: "succeeded" };
+    },
+    parseWebhook(rawBody, headers) {
+      verifyWebhookSignature(rawBody, headers["payment-signature"]);
+      return JSON.parse(rawBody);
+    },
+    // Builds the signed webhook the mock "bank" would send once the customer paid (or didn't)
+    simulate(providerPaymentId, outcome) {
+      const rawBody = JSON.stringify({
+        id: newId("mockevt"),
+        type: outcome === "succeed" ? "payment.succeeded" : "payment.failed",
+        data: { providerPaymentId, reason: outcome === "succeed" ? undefined : "Declined by the mock provider" },
+      });
+      return { rawBody, headers: { "payment-signature": signWebhook(rawBody) } };
+    },
+  };
+}
+
+const PAYMENT_PROVIDERS = { mock: createMockPaymentProvider };
+const paymentProviderName = process.env.PAYMENT_PROVIDER;
+if (paymentProviderName && !PAYMENT_PROVIDERS[paymentProviderName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${paymentProviderName}"`);
+}
+// The mock provider lets anyone mark a payment as paid, so it must never run anywhere real
+if (paymentProviderName === "mock" && !["development", "test"].includes(process.env.NODE_ENV)) {
+  throw new Error("PAYMENT_PROVIDER=mock needs NODE_ENV=development or NODE_ENV=test");
+}
+const paymentProvider = paymentProviderName ? PAYMENT_PROVIDERS[paymentProviderName]() : null;
+
+function sendPaymentsDisabled(res) {
+  return res.status(503).json({ success: false, message: "Online payment is not available" });
+}
+
+// Deposit and balance (or one full payment) for a booking
+function paymentSchedule(booking, plan, terms = {}) {
+  const total = booking.price.total;
+  const currency = booking.price.currency || BASE_CURRENCY;
+  if (plan === "full") return [{ purpose: "full", amount: total, dueAt: new Date() }];
+
+  const percent = terms.depositPercent ?? PAYMENT_DEPOSIT_PERCENT;
+  const dueDays = terms.balanceDueDays ?? PAYMENT_BALANCE_DUE_DAYS;
+  const deposit = roundMoney((total * percent) / 100, currency);
+  return [
+    { purpose: "deposit", amount: deposit, dueAt: new Date() },
+    { purpose: "balance", amount: roundMoney(total - deposit, currency), dueAt: new Date(booking.departureDate.getTime() - dueDays * DAY_MS) },
+  ];
+}
+
+function depositAllowed(booking, terms = {}) {
+  const dueDays = terms.balanceDueDays ?? PAYMENT_BALANCE_DUE_DAYS;
+  const percent = terms.depositPercent ?? PAYMENT_DEPOSIT_PERCENT;
+  return percent > 0 && percent < 100 && booking.departureDate.getTime() - dueDays * DAY_MS > Date.now();
+}
+
+// Paid so far, what's left and the next installment, from the stored totals
+function paymentSummary(booking) {
+  const currency = booking.price.currency || BASE_CURRENCY;
+  const paid = roundMoney((booking.payment?.amountPaid || 0) - (booking.payment?.amountRefunded || 0), currency);
+  const schedule = booking.payment?.schedule || [];
+  let covered = 0;
+  let next = null;
+  for (const item of schedule) {
+    covered += item.amount;
+    if (paid < covered - 0.005) {
+      next = { purpose: item.purpose, amount: roundMoney(covered - paid, currency), dueAt: item.dueAt };
+      break;
+    }
+  }
+  const balance = roundMoney(Math.max(booking.price.total - paid, 0), currency);
+  const status = booking.payment?.amountRefunded > 0 && paid <= 0 ? "refunded"
+    : balance === 0 ? "paid"
+    : paid > 0 ? "partially_paid"
+    : "unpaid";
+  return { plan: booking.payment?.plan || null, currency, total: booking.price.total, paid, balance, status, next, schedule };
+}
+
+// Applies a settled charge or refund once; later calls for the same payment do nothing
+async function settlePayment(filter, outcome, { eventId, eventType, reason } = {}) {
+  const payment = await Payment.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    {
+      $set: { status: outcome, settledAt: new Date(), ...(reason ? { reason } : {}) },
+      $push: { events: { type: eventType || `${outcome}`, eventId } },
+    },
+    { new: true }
+  );
+  if (!payment) return payment;
+  if (outcome !== "succeeded") {
+    // A failed refund gives its reserved amount back to the charge
+    if (payment.kind === "refund") await Payment.updateOne({ _id: payment.charge }, { $inc: { refundedAmount: -payment.amount } });
+    return payment;
+  }
+
+  const field = payment.kind === "charge" ? "payment.amountPaid" : "payment.amountRefunded";
+  const booking = await Booking.findByIdAndUpdate(payment.booking, { $inc: { [field]: payment.amount } }, { new: true });
+  if (booking && payment.kind === "charge") {
+    await queueEmail("paymentReceived", booking.customer.email, { booking, payment, summary: paymentSummary(booking) },
+      { kind: "Payment", id: payment._id });
+  }
+  return payment;
+}
+
+// Verifies, de-duplicates and applies one webhook delivery; throws on a bad signature
+async function handlePaymentWebhook(provider, rawBody, headers) {
+  const event = provider.parseWebhook(rawBody, headers);
+  try {
+    await PaymentEvent.create({ provider: provider.name, eventId: event.id, type: event.type });
+  } catch (err) {
+    if (err.code === 11000) return { duplicate: true };
+    throw err;
+  }
+
+  const context = { eventId: event.id, eventType: event.type, reason: event.data?.reason };
+  const byPayment = { provider: provider.name, kind: "charge", providerPaymentId: event.data?.providerPaymentId };
+  const byRefund = { provider: provider.name, kind: "refund", providerRefundId: event.data?.providerRefundId };
+  switch (event.type) {
+    case "payment.succeeded": await settlePayment(byPayment, "succeeded", context); break;
+    case "payment.failed": await settlePayment(byPayment, "failed", context); break;
+    case "refund.succeeded": await settlePayment(byRefund, "succeeded", context); break;
+    case "refund.failed": await settlePayment(byRefund, "failed", context); break;
+    default: break; // other event types aren't used
+  }
+  return { duplicate: false };
+}
+
+async function findBookingForCustomer(req) {
+  const booking = await Booking.findOne({ reference: String(req.params.reference).toUpperCase() });
+  if (!booking || booking.customer.email !== String(req.query.email || "").toLowerCase()) return null;
+  return booking;
+}
+
+// A client-chosen key (Idempotency-Key header) so retrying a request never charges or refunds twice.
+// The scope ties the key to one booking/charge, so a key can't reach another customer's payments.
+function idempotencyKeyOf(req, scope) {
+  const key = req.get("Idempotency-Key");
+  return key ? `${scope}:${String(key).slice(0, 200)}` : undefined;
+}
+
+// Payment schedule and ledger for the customer
+app.get("/api/bookings/:reference/payments", async (req, res) => {
+  try {
+    const booking = await findBookingForCustomer(req);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+    const payments = await Payment.find({ booking: booking._id }).sort({ createdAt: 1 })
+      .select("kind purpose amount currency status checkoutUrl settledAt createdAt");
+    res.json({ success: true, summary: paymentSummary(booking), payments });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Starts the next payment of a booking. The first payment picks the plan: { plan: "deposit" | "full" }.
+app.post("/api/bookings/:reference/payments", validateBody({
+  plan: { type: "string", enum: ["deposit", "full"] },
+}), async (req, res) => {
+  if (!paymentProvider) return sendPaymentsDisabled(res);
+  try {
+    let booking = await findBookingForCustomer(req);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+
+    const idempotencyKey = idempotencyKeyOf(req, `charge:${booking._id}`);
+    if (idempotencyKey) {
+      const previous = await Payment.findOne({ idempotencyKey });
+      if (previous) return res.json({ success: true, payment: previous });
+    }
+    if (booking.status === "cancelled") return res.status(409).json({ success: false, message: "This booking is cancelled" });
+
+    // One payment at a time: hand back the one still waiting for the customer
+    const pendingFilter = { booking: booking._id, kind: "charge", status: "pending" };
+    const pending = await Payment.findOne(pendingFilter);
+    if (pending) return res.json({ success: true, payment: pending });
+
+    if (!booking.payment?.plan) {
+      const pkg = await Destination.findById(booking.destination).select("paymentTerms");
+      const terms = pkg?.paymentTerms || {};
+      const plan = req.body.plan || "full";
+      if (plan === "deposit" && !depositAllowed(booking, terms)) {
+        return res.status(400).json({ success: false, message: "This departure must be paid in full" });
+      }
+      booking = await Booking.findOneAndUpdate(
+        { _id: booking._id, "payment.plan": null },
+        { $set: { "payment.plan": plan, "payment.schedule": paymentSchedule(booking, plan, terms) } },
+        { new: true }
+      ) || await Booking.findById(booking._id);
+    }
+
+    const { next, currency } = paymentSummary(booking);
+    if (!next) return res.status(409).json({ success: false, message: "This booking is fully paid" });
+
+    // The pending row claims the installment before the provider is asked, so concurrent requests
+    // can't open two charges for it
+    let payment;
+    try {
+      payment = await Payment.create({
+        booking: booking._id,
+        kind: "charge",
+        purpose: next.purpose,
+        amount: next.amount,
+        currency,
+        provider: paymentProvider.name,
+        idempotencyKey,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      // A concurrent request (or a retry with the same key) got there first: hand back its payment
+      const winner = (idempotencyKey && await Payment.findOne({ idempotencyKey })) || await Payment.findOne(pendingFilter);
+      if (winner) return res.json({ success: true, payment: winner });
+      return res.status(409).json({ success: false, message: "Another payment for this booking was just started, try again" });
+    }
+
+    let created;
+    try {
+      created = await paymentProvider.createPayment({
+        amount: next.amount,
+        currency,
+        reference: booking.reference,
+        description: `${booking.packageTitle} (${booking.reference}) ${next.purpose}`,
+        idempotencyKey,
+      });
+    } catch (err) {
+      // Frees the installment for the next attempt
+      await settlePayment({ _id: payment._id }, "failed", { reason: err.message });
+      throw err;
+    }
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { providerPaymentId: created.providerPaymentId, checkoutUrl: created.checkoutUrl } }
+    );
+    if (created.status !== "pending") await settlePayment({ _id: payment._id }, created.status);
+
+    res.status(201).json({ success: true, payment: await Payment.findById(payment._id) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/payments/webhook/:provider", async (req, res) => {
+  if (!paymentProvider || req.params.provider !== paymentProvider.name) {
+    return res.status(404).json({ success: false, message: "Unknown payment provider" });
+  }
+  try {
+    const { duplicate } = await handlePaymentWebhook(paymentProvider, req.rawBody?.toString("utf8") || "", req.headers);
+    res.json({ success: true, duplicate });
+  } catch (err) {
+    console.error("Rejected payment webhook:", err.message);
+    res.status(400).json({ success: false, message: "Invalid webhook" });
+  }
+});
+
+// Local stand-in for the provider's checkout page: outcome is "succeed" or "fail"
+if (paymentProvider?.name === "mock") {
+  app.post("/api/payments/mock/:providerPaymentId/:outcome", async (req, res) => {
+    try {
+      if (!["succeed", "fail"].includes(req.params.outcome)) {
+        return res.status(400).json({ success: false, message: "outcome must be succeed or fail" });
+      }
+      const { rawBody, headers } = paymentProvider.simulate(req.params.providerPaymentId, req.params.outcome);
+      await handlePaymentWebhook(paymentProvider, rawBody, headers);
+      const payment = await Payment.findOne({ provider: "mock", providerPaymentId: req.params.providerPaymentId });
+      if (!payment) return res.status(404).json({ success: false, message: "Payment not found" });
+      res.json({ success: true, payment });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  });
+}
+
+const paymentListQuery = listQuery(Payment, {
+  sortable: ["createdAt", "settledAt", "amount", "status"],
+  defaultSort: "-createdAt",
+});
+
+// Admin ledger across bookings, filter with ?bookingId=&kind=&status=
+app.get("/api/admin/payments", authorize("payments:read"), paymentListQuery, async (req, res) => {
+  try {
+    const filter = {};
+    if (mongoose.Types.ObjectId.isValid(req.query.bookingId)) filter.booking = req.query.bookingId;
+    if (["charge", "refund"].includes(req.query.kind)) filter.kind = req.query.kind;
+    if (PAYMENT_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+    const { items: payments, pagination } = await findPage(Payment, filter, req.list);
+    res.json({ success: true, payments, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.get("/api/admin/bookings/:id/payments", authorize("payments:read"), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ success: false, message: "Booking not found" });
+    const payments = await Payment.find({ booking: booking._id }).sort({ createdAt: 1 }).populate("createdBy", "username");
+    res.json({ success: true, summary: paymentSummary(booking), payments });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Refunds part or all of a successful charge; { amount?, reason }
+app.post("/api/admin/payments/:id/refund", authorize("payments:manage"), validateBody({
+  amount: { type: "number", min: 0.01 },
+  reason: { type: "string", required: true, maxLength: 500 },
+}), async (req, res) => {
+  try {
+    const charge = await Payment.findOne({ _id: req.params.id, kind: "charge" });
+    if (!charge) return res.status(404).json({ success: false, message: "Payment not found" });
+
+    const idempotencyKey = idempotencyKeyOf(req, `refund:${charge._id}`);
+    if (idempotencyKey) {
+      const previous = await Payment.findOne({ idempotencyKey });
+      if (previous) return res.json({ success: true, refund: previous });
+    }
+    if (charge.status !== "succeeded") return res.status(409).json({ success: false, message: "Only successful payments can be refunded" });
+    if (!paymentProvider || charge.provider !== paymentProvider.name) {
+      return res.status(409).json({ success: false, message: `The ${charge.provider} payment provider is not configured` });
+    }
+
+    const refundableOf = (doc) => roundMoney(doc.amount - (doc.refundedAmount || 0), doc.currency);
+    const amount = req.body.amount === undefined ? refundableOf(charge) : roundMoney(req.body.amount, charge.currency);
+
+    // Reserve the amount on the charge before asking the provider, so concurrent refunds can't
+    // together exceed it (the small margin absorbs floating point error on a full refund)
+    const reserved = amount > 0 && await Payment.findOneAndUpdate(
+      {
+        _id: charge._id,
+        status: "succeeded",
+        $expr: { $lte: [{ $add: [{ $ifNull: ["$refundedAmount", 0] }, amount] }, { $add: ["$amount", 0.000001] }] },
+      },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      const current = await Payment.findById(charge._id);
+      return res.status(400).json({ success: false, message: `At most ${refundableOf(current)} ${charge.currency} can be refunded` });
+    }
+    const release = () => Payment.updateOne({ _id: charge._id }, { $inc: { refundedAmount: -amount } });
+
+    let created;
+    let refund;
+    try {
+      created = await paymentProvider.refund({
+        providerPaymentId: charge.providerPaymentId,
+        amount,
+        currency: charge.currency,
+        idempotencyKey,
+      });
+      refund = await Payment.create({
+        booking: charge.booking,
+        kind: "refund",
+        purpose: "refund",
+        amount,
+        currency: charge.currency,
+        provider: charge.provider,
+        providerPaymentId: charge.providerPaymentId,
+        providerRefundId: created.providerRefundId,
+        charge: charge._id,
+        idempotencyKey,
+        reason: req.body.reason,
+        createdBy: req.admin._id,
+      });
+    } catch (err) {
+      await release();
+      // A concurrent retry with the same key got there first
+      if (err.code === 11000 && idempotencyKey) {
+        return res.json({ success: true, refund: await Payment.findOne({ idempotencyKey }) });
+      }
+      throw err;
+    }
+    if (created.status !== "pending") await settlePayment({ _id: refund._id }, created.status);
+
+    res.status(201).json({ success: true, message: "Refund started", refund: await Payment.findById(refund._id) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Customer Accounts =====
+// Customers sign up with an email and password, separately from admins. Their access tokens carry the
+// "customer" audience, so authenticateAdmin never accepts them and authenticateCustomer never accepts
+// an admin token. Enquiries and bookings are linked to an account by email only, so they are shown
+// once the customer has verified that they own the address.
+const CUSTOMER_TOKEN_AUDIENCE = "customer";
+const CUSTOMER_TOKEN_TTL = process.env.CUSTOMER_TOKEN_TTL || "7d";
+const EMAIL_VERIFICATION_TTL_MS = 48 * 60 * 60 * 1000;
+const CUSTOMER_PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+// Verification and reset emails sent to one address per window
+const CUSTOMER_EMAIL_THROTTLE = { windowMs: 60 * 60 * 1000, max: 5 };
+// Base URL of the website, used for the links in account emails
+const SITE_URL = (process.env.SITE_URL || "https://dreamznmiles.com").replace(/\/+$/, "");
+
+const WISHLIST_MODELS = { package: "Destination", hotel: "Hotel" };
+const WISHLIST_MAX_ITEMS = 200;
+// What a wishlist shows of each item
+const WISHLIST_FIELDS = {
+  Destination: "title thumbnail price currency days shortDescription rating",
+  Hotel: "title images price currency location rating type",
+};
+
+const customerSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  phone: String,
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  // One-time tokens, stored as SHA-256 hashes
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  passwordResetToken: String,
+  passwordResetExpires: Date,
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: { type: Number, default: 0 },
+  wishlist: [
+    {
+      kind: { type: String, enum: Object.values(WISHLIST_MODELS), required: true },
+      item: { type: mongoose.Schema.Types.ObjectId, refPath: "wishlist.kind", required: true },
+      addedAt: { type: Date, default: Date.now }
+    }
+  ]
+}, { timestamps: true });
+
+customerSchema.pre("save", async function () {
+  if (!this.isModified("password")) return;
+  this.password = await bcrypt.hash(this.password, BCRYPT_SALT_ROUNDS);
+});
+
+customerSchema.methods.verifyPassword = function (candidate) {
+  return bcrypt.compare(String(candidate || ""), this.password);
+};
+
+const Customer = mongoose.model("Customer", customerSchema);
+
+const customerSignupRules = {
+  name: queryRules.name,
+  email: queryRules.email,
+  phone: queryRules.phone,
+  password: { type: "string", required: true, maxLength: 200 },
+};
+
+const customerLoginRules = {
+  email: queryRules.email,
+  password: { type: "string", required: true, maxLength: 200 },
+};
+
+const customerProfileRules = {
+  name: queryRules.name,
+  phone: { ...queryRules.phone, nullable: true },
+};
+
+const wishlistItemRules = {
+  kind: { type: "string", required: true, enum: Object.keys(WISHLIST_MODELS) },
+  itemId: { type: "objectId", required: true },
+};
+
+function issueCustomerAccessToken(customer) {
+  return jwt.sign(
+    { id: customer._id, tv: customer.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { audience: CUSTOMER_TOKEN_AUDIENCE, expiresIn: CUSTOMER_TOKEN_TTL }
+  );
+}
+
+// Sets a one-time token on the customer ("emailVerification" or "passwordReset") and returns it;
+// only its hash is persisted
+function issueCustomerOneTimeToken(customer, purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+  customer[`${purpose}Token`] = hashToken(token);
+  customer[`${purpose}Expires`] = new Date(Date.now() + ttlMs);
+  return token;
+}
+
+// Customer fields that are safe to send to the website
+function toPublicCustomer(customer) {
+  return {
+    _id: customer._id,
+    name: customer.name,
+    email: customer.email,
+    phone: customer.phone,
+    emailVerified: !!customer.emailVerified,
+    createdAt: customer.createdAt,
+  };
+}
+
+// Counts an account email against the address; false once the address has had too many this window
+async function customerEmailAllowed(email) {
+  const { count } = await throttleStore.hit(`customer-email:${email}`, CUSTOMER_EMAIL_THROTTLE.windowMs);
+  return count <= CUSTOMER_EMAIL_THROTTLE.max;
+}
+
+function queueVerificationEmail(customer, token) {
+  return queueEmail(
+    "customerEmailVerification",
+    customer.email,
+    { customer, link: `${SITE_URL}/account/verify-email?token=${token}` },
+    { kind: "Customer", id: customer._id }
+  );
+}
+
+// Someone signed up with the address of an existing account; counts against its account emails
+async function notifyExistingSignup(customer) {
+  if (!(await customerEmailAllowed(customer.email))) return;
+  await queueEmail(
+    "customerSignupExisting",
+    customer.email,
+    { customer, loginLink: `${SITE_URL}/account/login`, resetLink: `${SITE_URL}/account/forgot-password` },
+    { kind: "Customer", id: customer._id }
+  );
+}
+
+function sendWeakPassword(res, problems, field = "password") {
+  return res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors: problems.map((message) => ({ field, message })),
+  });
+}
+
+// Verifies a customer bearer token and loads the customer into req.customer
+async function authenticateCustomer(req, res, next) {
+  try {
+    const [scheme, token] = (req.headers.authorization || "").split(" ");
+    if (scheme !== "Bearer" || !token) return res.status(401).json({ success: false, message: "Unauthorized" });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CUSTOMER_TOKEN_AUDIENCE });
+    } catch {
+      return res.status(401).json({ success: false, message: "Invalid or expired token" });
+    }
+
+    const customer = await Customer.findById(decoded.id);
+    if (!customer) return res.status(401).json({ success: false, message: "Unauthorized" });
+    if ((decoded.tv || 0) !== (customer.tokenVersion || 0)) {
+      return res.status(401).json({ success: false, message: "Session has been revoked" });
+    }
+
+    req.customer = customer;
+    next();
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+// Enquiries and bookings are matched by email, and reviews are only taken from real addresses,
+// so the customer has to prove they own it first
+function requireVerifiedEmail(req, res, next) {
+  if (!req.customer.emailVerified) {
+    return res.status(403).json({ success: false, message: "Please verify your email address first" });
+  }
+  next();
+}
+
+app.post("/api/customers/signup", validateBody(customerSignupRules), async (req, res) => {
+  try {
+    const ipHit = await throttleStore.hit(`customer-signup:ip:${req.ip}`, LOGIN_THROTTLE.windowMs);
+    if (ipHit.count > LOGIN_THROTTLE.maxPerIp) {
+      return sendTooManyRequests(res, ipHit.resetAt, "Too many sign ups from this address, try again later");
+    }
+
+    const { name, phone, password } = req.body;
+    const email = req.body.email.toLowerCase();
+    const problems = checkPasswordStrength(password);
+    if (problems.length) return sendWeakPassword(res, problems);
+
+    // The same answer whether or not the email already has an account, so sign up can't be used
+    // to find out who is a customer; the owner of an existing account is told by email instead
+    const accepted = () => res.status(201).json({
+      success: true,
+      message: "Check your email to finish signing up, then log in",
+    });
+
+    const existing = await Customer.findOne({ email });
+    if (existing) {
+      // Costs the same as hashing a new account's password
+      await bcrypt.compare(String(password), DUMMY_PASSWORD_HASH);
+      await notifyExistingSignup(existing);
+      return accepted();
+    }
+    const customer = new Customer({ name, email, phone, password });
+    const verificationToken = issueCustomerOneTimeToken(customer, "emailVerification", EMAIL_VERIFICATION_TTL_MS);
+    try {
+      await customer.save();
+    } catch (err) {
+      // Two sign ups for the same email raced past the check above
+      if (err.code === 11000) return accepted();
+      throw err;
+    }
+    await queueVerificationEmail(customer, verificationToken);
+
+    accepted();
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/customers/login", validateBody(customerLoginRules), async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    const ipKey = `customer-login:ip:${req.ip}`;
+    const emailKey = `customer-login:email:${email}`;
+
+    // Counted before the password is checked, like admin logins
+    const [ipHit, emailHit] = await Promise.all([
+      throttleStore.hit(ipKey, LOGIN_THROTTLE.windowMs),
+      throttleStore.hit(emailKey, LOGIN_THROTTLE.windowMs),
+    ]);
+    if (ipHit.count > LOGIN_THROTTLE.maxPerIp) {
+      return sendTooManyRequests(res, ipHit.resetAt, "Too many login attempts from this address, try again later");
+    }
+    if (emailHit.count > LOGIN_THROTTLE.maxPerUsername) {
+      return sendTooManyRequests(res, emailHit.resetAt, "Too many login attempts for this account, try again later");
+    }
+
+    const customer = await Customer.findOne({ email });
+    const passwordMatches = customer
+      ? await customer.verifyPassword(req.body.password)
+      : await bcrypt.compare(String(req.body.password), DUMMY_PASSWORD_HASH);
+    if (!customer || !passwordMatches) {
+      await sleep(loginDelayMs(Math.max(ipHit.count, emailHit.count)));
+      return res.status(400).json({ success: false, message: "Invalid email or password" });
+    }
+
+    await throttleStore.reset(emailKey);
+    res.json({
+      success: true,
+      message: "Login successful",
+      token: issueCustomerAccessToken(customer),
+      expiresIn: CUSTOMER_TOKEN_TTL,
+      customer: toPublicCustomer(customer),
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Confirms the email address with the token from the verification email; no login needed
+app.post("/api/customers/verify-email", validateBody({
+  token: { type: "string", required: true, maxLength: 200 },
+}), async (req, res) => {
+  try {
+    const customer = await Customer.findOneAndUpdate(
+      { emailVerificationToken: hashToken(req.body.token), emailVerificationExpires: { $gt: new Date() } },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      },
+      { new: true }
+    );
+    if (!customer) return res.status(400).json({ success: false, message: "Verification link is invalid or has expired" });
+    res.json({ success: true, message: "Email address verified", customer: toPublicCustomer(customer) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// The same answer whether or not the email has an account
+app.post("/api/customers/forgot-password", validateBody({ email: queryRules.email }), async (req, res) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    if (await customerEmailAllowed(email)) {
+      const customer = await Customer.findOne({ email });
+      if (customer) {
+        const token = issueCustomerOneTimeToken(customer, "passwordReset", CUSTOMER_PASSWORD_RESET_TTL_MS);
+        await customer.save();
+        await queueEmail(
+          "customerPasswordReset",
+          customer.email,
+          { customer, link: `${SITE_URL}/account/reset-password?token=${token}` },
+          { kind: "Customer", id: customer._id }
+        );
+      }
+    }
+    res.json({ success: true, message: "If an account exists for this email, a reset link is on its way" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/customers/reset-password", validateBody({
+  token: { type: "string", required: true, maxLength: 200 },
+  newPassword: { type: "string", required: true, maxLength: 200 },
+}), async (req, res) => {
+  try {
+    const problems = checkPasswordStrength(req.body.newPassword);
+    if (problems.length) return sendWeakPassword(res, problems, "newPassword");
+
+    // Hashed up front so the token is consumed and the password changed in one atomic update;
+    // of two requests with the same link only one can match
+    const password = await bcrypt.hash(req.body.newPassword, BCRYPT_SALT_ROUNDS);
+    const customer = await Customer.findOneAndUpdate(
+      { passwordResetToken: hashToken(req.body.token), passwordResetExpires: { $gt: new Date() } },
+      {
+        $set: { password },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 },
+        $inc: { tokenVersion: 1 }, // signs out every device
+      }
+    );
+    if (!customer) return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+
+    // The link was delivered to the address, which proves the customer owns it
+    if (!customer.emailVerified) {
+      await Customer.updateOne(
+        { _id: customer._id, emailVerified: { $ne: true } },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+    }
+
+    res.json({ success: true, message: "Password has been reset" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.get("/api/customers/me", authenticateCustomer, (req, res) => {
+  res.json({ success: true, customer: toPublicCustomer(req.customer) });
+});
+
+app.patch("/api/customers/me", authenticateCustomer, validateBody(customerProfileRules, { partial: true }), async (req, res) => {
+  try {
+    const { name, phone } = req.body;
+    if (name !== undefined) req.customer.name = name;
+    if (phone !== undefined) req.customer.phone = phone === null ? undefined : phone;
+    await req.customer.save();
+    res.json({ success: true, message: "Profile updated", customer: toPublicCustomer(req.customer) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Changing the password signs out every other device; the response carries a fresh token
+app.post("/api/customers/me/change-password", authenticateCustomer, validateBody({
+  oldPassword: { type: "string", required: true, maxLength: 200 },
+  newPassword: { type: "string", required: true, maxLength: 200 },
+}), async (req, res) => {
+  try {
+    const { oldPassword, newPassword } = req.body;
+    const customer = req.customer;
+    if (!(await customer.verifyPassword(oldPassword))) {
+      return res.status(400).json({ success: false, message: "Old password is incorrect" });
+    }
+
+    const problems = checkPasswordStrength(newPassword);
+    if (oldPassword === newPassword) problems.push("New password must be different from the old password");
+    if (problems.length) return sendWeakPassword(res, problems, "newPassword");
+
+    customer.password = newPassword;
+    customer.tokenVersion = (customer.tokenVersion || 0) + 1;
+    await customer.save();
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      token: issueCustomerAccessToken(customer),
+      expiresIn: CUSTOMER_TOKEN_TTL,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/customers/me/verify-email/resend", authenticateCustomer, async (req, res) => {
+  try {
+    const customer = req.customer;
+    if (customer.emailVerified) return res.status(409).json({ success: false, message: "Email address is already verified" });
+    if (!(await customerEmailAllowed(customer.email))) {
+      return res.status(429).json({ success: false, message: "Too many emails sent to this address, try again later" });
+    }
+
+    const token = issueCustomerOneTimeToken(customer, "emailVerification", EMAIL_VERIFICATION_TTL_MS);
+    await customer.save();
+    await queueVerificationEmail(customer, token);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Saved packages and hotels, newest first. Items deleted from the catalogue are left out.
+// Prices can be converted with ?currency=
+app.get("/api/customers/me/wishlist", authenticateCustomer, withCurrency, async (req, res) => {
+  try {
+    const idsOf = (model) => req.customer.wishlist.filter((w) => w.kind === model).map((w) => w.item);
+    const [packages, hotels] = await Promise.all([
+      Destination.find({ _id: { $in: idsOf("Destination") } }).select(WISHLIST_FIELDS.Destination),
+      Hotel.find({ _id: { $in: idsOf("Hotel") } }).select(WISHLIST_FIELDS.Hotel),
+    ]);
+    const found = new Map([...packages, ...hotels].map((doc) => [String(doc._id), doc]));
+
+    const wishlist = [...req.customer.wishlist]
+      .sort((a, b) => b.addedAt - a.addedAt)
+      .filter((entry) => found.has(String(entry.item)))
+      .map((entry) => {
+        const kind = entry.kind === "Destination" ? "package" : "hotel";
+        return { kind, addedAt: entry.addedAt, item: localizePrices(found.get(String(entry.item)), kind, req.money) };
+      });
+    res.json({ success: true, wishlist });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/customers/me/wishlist", authenticateCustomer, validateBody(wishlistItemRules), async (req, res) => {
+  try {
+    const { kind, itemId } = req.body;
+    const modelName = WISHLIST_MODELS[kind];
+    if (!(await mongoose.model(modelName).exists({ _id: itemId }))) {
+      return res.status(404).json({ success: false, message: `${kind === "package" ? "Package" : "Hotel"} not found` });
+    }
+
+    // Adds the item only if it isn't saved yet and the list has room
+    const updated = await Customer.findOneAndUpdate(
+      {
+        _id: req.customer._id,
+        "wishlist.item": { $ne: itemId },
+        [`wishlist.${WISHLIST_MAX_ITEMS - 1}`]: { $exists: false },
+      },
+      { $push: { wishlist: { kind: modelName, item: itemId } } },
+      { new: true }
+    );
+    if (!updated) {
+      const current = await Customer.findById(req.customer._id).select("wishlist");
+      if (current && current.wishlist.some((w) => String(w.item) === String(itemId))) {
+        return res.json({ success: true, message: "Already in your wishlist" });
+      }
+      return res.status(400).json({ success: false, message: `A wishlist can hold at most ${WISHLIST_MAX_ITEMS} items` });
+    }
+    res.status(201).json({ success: true, message: "Added to your wishlist" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.delete("/api/customers/me/wishlist/:kind/:itemId", authenticateCustomer, async (req, res) => {
+  try {
+    const modelName = WISHLIST_MODELS[req.params.kind];
+    if (!modelName || !mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      return res.status(404).json({ success: false, message: "Not in your wishlist" });
+    }
+    const updated = await Customer.findOneAndUpdate(
+      { _id: req.customer._id, wishlist: { $elemMatch: { kind: modelName, item: req.params.itemId } } },
+      { $pull: { wishlist: { kind: modelName, item: req.params.itemId } } },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ success: false, message: "Not in your wishlist" });
+    res.json({ success: true, message: "Removed from your wishlist" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const customerEnquiryListQuery = listQuery(Query, { sortable: ["date"], defaultSort: "-date" });
+
+// Enquiry fields a customer sees; staff notes, assignment and spam checks stay internal
+function toCustomerEnquiry(enquiry) {
+  return {
+    _id: enquiry._id,
+    date: enquiry.date,
+    name: enquiry.name,
+    phone: enquiry.phone,
+    adults: enquiry.adults,
+    children: enquiry.children,
+    message: enquiry.message,
+    status: enquiry.status,
+    subject: enquiry.subject?.kind ? { kind: enquiry.subject.kind, item: enquiry.subject.item } : undefined,
+  };
+}
+
+// Enquiries sent with the account's email, including ones sent before the account existed
+app.get("/api/customers/me/enquiries", authenticateCustomer, requireVerifiedEmail, customerEnquiryListQuery, async (req, res) => {
+  try {
+    // Enquiries keep the email as typed, so match it case-insensitively
+    const filter = { ...GENUINE_ENQUIRY, email: new RegExp(`^${escapeRegex(req.customer.email)}$`, "i") };
+    const { items, pagination } = await findPage(Query, filter, { ...req.list, projection: null });
+    res.json({ success: true, enquiries: items.map(toCustomerEnquiry), pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.get("/api/customers/me/bookings", authenticateCustomer, requireVerifiedEmail, bookingListQuery, async (req, res) => {
+  try {
+    const { items: bookings, pagination } = await findPage(Booking, { "customer.email": req.customer.email }, req.list);
+    res.json({ success: true, bookings, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.get("/api/customers/me/hotel-reservations", authenticateCustomer, requireVerifiedEmail, hotelReservationListQuery, async (req, res) => {
+  try {
+    const filter = { "customer.email": req.customer.email };
+    const { items: reservations, pagination } = await findPage(HotelReservation, filter, req.list);
+    res.json({ success: true, reservations, pagination });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ===== Reviews =====
+// Customers with a verified email can review a package or hotel once; editing the review sends it back
+// to the moderation queue. Only approved reviews are public, and every moderation change recomputes the
+// item's rating (average and count) from its approved reviews.
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const REVIEW_MODELS = WISHLIST_MODELS;
+
+const reviewSchema = new mongoose.Schema({
+  kind: { type: String, enum: Object.values(REVIEW_MODELS), required: true },
+  item: { type: mongoose.Schema.Types.ObjectId, refPath: "kind", required: true },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
+  authorName: { type: String, required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  title: String,
+  body: { type: String, required: true },
+  travelledAt: Date,
+  // The customer has a confirmed booking/reservation for the item that has already taken place
+  verifiedStay: { type: Boolean, default: false },
+  status: { type: String, enum: REVIEW_STATUSES, default: "pending", index: true },
+  rejectionReason: String,
+  reply: {
+    body: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    at: Date
+  },
+  statusHistory: [
+    {
+      status: { type: String, enum: REVIEW_STATUSES },
+      at: { type: Date, default: Date.now },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }, // empty when the customer did it
+      note: String
+    }
+  ]
+}, { timestamps: true });
+reviewSchema.index({ customer: 1, kind: 1, item: 1 }, { unique: true });
+reviewSchema.index({ kind: 1, item: 1, status: 1, createdAt: -1 });
+const Review = mongoose.model("Review", reviewSchema);
+
+// Packages and hotels from before reviews start unrated, so sorting by rating treats them alike
+(async () => {
+  try {
+    for (const Model of [Destination, Hotel]) {
+      await Model.updateMany(
+        { rating: { $exists: false } },
+        { $set: { rating: { average: 0, count: 0 } } },
+        { timestamps: false }
+      );
+    }
+  } catch (err) {
+    console.error("Error backfilling ratings:", err);
+  }
+})();
+
+const reviewRules = {
+  rating: { type: "number", integer: true, min: 1, max: 5, required: true },
+  title: { type: "string", maxLength: 150 },
+  body: { type: "string", required: true, maxLength: 5000 },
+  travelledAt: { type: "date" },
+};
+
+// Recomputes the item's rating from its approved reviews
+async function refreshRating(kind, itemId) {
+  const computedAt = new Date();
+  const [stats] = await Review.aggregate([
+    { $match: { kind, item: new mongoose.Types.ObjectId(String(itemId)), status: "approved" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+  const rating = { average: stats ? Math.round(stats.average * 10) / 10 : 0, count: stats ? stats.count : 0, computedAt };
+  // Two refreshes can finish out of order; a result read before the stored one must not replace it
+  // (one started in the same millisecond may, as it can have read newer reviews).
+  // A new review isn't an edit of the item, so updatedAt stays as it is
+  const Model = mongoose.model(kind);
+  const { matchedCount } = await Model.updateOne(
+    { _id: itemId, $or: [{ "rating.computedAt": { $exists: false } }, { "rating.computedAt": { $lte: computedAt } }] },
+    { $set: { rating } },
+    { timestamps: false }
+  );
+  if (!matchedCount) {
+    const item = await Model.findById(itemId).select("rating").lean();
+    return item?.rating || rating;
+  }
+  return rating;
+}
+
+// Whether the customer has a confirmed trip to the item that has already happened
+async function hasCompletedStay(kind, itemId, email) {
+  const now = new Date();
+  if (kind === "Destination") {
+    return !!(await Booking.exists({ destination: itemId, "customer.email": email, status: "confirmed", departureDate: { $lte: now } }));
+  }
+  return !!(await HotelReservation.exists({ hotel: itemId, "customer.email": email, status: "confirmed", checkOut: { $lte: now } }));
+}
+
+// Review fields shown on the website
+function toPublicReview(review) {
+  return {
+    _id: review._id,
+    authorName: review.authorName,
+    rating: review.rating,
+    title: review.title,
+    body: review.body,
+    travelledAt: review.travelledAt,
+    verifiedStay: review.verifiedStay,
+    reply: review.reply?.body ? { body: review.reply.body, at: review.reply.at } : undefined,
+    createdAt: review.createdAt,
+  };
+}
+
+const reviewListQuery = listQuery(Review, { sortable: ["createdAt", "rating"], defaultSort: "-createdAt" });
+
+// Approved reviews of one item plus its rating and star distribution. Filter with ?rating=
+function listReviews(kind) {
+  const label = kind === "Destination" ? "Package" : "Hotel";
+  return async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: `${label} not found` });
+      const item = await mongoose.model(kind).findById(req.params.id).select("rating");
+      if (!item) return res.status(404).json({ success: false, message: `${label} not found` });
+
+      const filter = { kind, item: item._id, status: "approved" };
+      const stars = Number(req.query.rating);
+      if (Number.isInteger(stars) && stars >= 1 && stars <= 5) filter.rating = stars;
+
+      const [{ items, pagination }, counts] = await Promise.all([
+        findPage(Review, filter, { ...req.list, projection: null }),
+        Review.aggregate([
+          { $match: { kind, item: item._id, status: "approved" } },
+          { $group: { _id: "$rating", count: { $sum: 1 } } },
+        ]),
+      ]);
+      const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      counts.forEach(({ _id, count }) => { distribution[_id] = count; });
+
+      res.json({
+        success: true,
+        rating: { average: item.rating?.average || 0, count: item.rating?.count || 0, distribution },
+        reviews: items.map(toPublicReview),
+        pagination,
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
+  };
+}
+
+// Creates the customer's review of the item, or replaces it and sends it back for moderation
+function submitReview(kind) {
+  const label = kind === "Destination" ? "Package" : "Hotel";
+  return async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: `${label} not found` });
+      const item = await mongoose.model(kind).findById(req.params.id).select("_id");
+      if (!item) return res.status(404).json({ success: false, message: `${label} not found` });
+
+      const { rating, title, body, travelledAt } = req.body;
+      const customer = req.customer;
+      const fields = {
+        authorName: customer.name,
+        rating,
+        title,
+        body,
+        travelledAt,
+        verifiedStay: await hasCompletedStay(kind, item._id, customer.email),
+        status: "pending",
+      };
+
+      const mine = { customer: customer._id, kind, item: item._id };
+      let existing = await Review.findOne(mine);
+      let review;
+      if (!existing) {
         try {
-          data.requiredDocuments = JSON.parse(data.requiredDocuments);
-        } catch {
-          data.requiredDocuments = data.requiredDocuments
-            .split(",")
-            .map(d => d.trim())
-            .filter(d => d);
+          review = await Review.create({
+            ...fields,
+            ...mine,
+            statusHistory: [{ status: "pending", at: new Date() }],
+          });
+        } catch (err) {
+          if (err.code !== 11000) throw err;
+          // A double submit created it first; this one replaces it like any later edit
+          existing = await Review.findOne(mine);
+          if (!existing) throw err;
         }
       }
-    } else {
-      data.requiredDocuments = [];
+      if (existing) {
+        review = await Review.findByIdAndUpdate(
+          existing._id,
+          {
+            $set: fields,
+            $unset: { rejectionReason: 1 },
+            $push: { statusHistory: { status: "pending", at: new Date(), note: "Edited by the customer" } },
+          },
+          { new: true }
+        );
+        // An approved review leaves the public list until it has been checked again
+        if (existing.status === "approved") await refreshRating(kind, item._id);
+      }
+
+      res.status(existing ? 200 : 201).json({
+        success: true,
+        message: "Thanks! Your review will appear once it has been checked",
+        review: { ...toPublicReview(review), status: review.status },
+      });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
     }
+  };
+}
 
-    const updatedVisa = await Visa.findByIdAndUpdate(req.params.id, data, { new: true });
+app.get("/api/packages/:id/reviews", reviewListQuery, listReviews("Destination"));
+app.get("/api/hotels/:id/reviews", reviewListQuery, listReviews("Hotel"));
+app.post("/api/packages/:id/reviews", authenticateCustomer, requireVerifiedEmail, validateBody(reviewRules), submitReview("Destination"));
+app.post("/api/hotels/:id/reviews", authenticateCustomer, requireVerifiedEmail, validateBody(reviewRules), submitReview("Hotel"));
 
-    res.json({ success: true, message: "Visa updated successfully", visa: updatedVisa });
+// The customer's own reviews with their moderation status
+app.get("/api/customers/me/reviews", authenticateCustomer, async (req, res) => {
+  try {
+    const reviews = await Review.find({ customer: req.customer._id }).sort({ createdAt: -1 }).populate("item", "title");
+    res.json({
+      success: true,
+      reviews: reviews.map((r) => ({
+        ...toPublicReview(r),
+        kind: r.kind === "Destination" ? "package" : "hotel",
+        item: r.item,
+        status: r.status,
+        rejectionReason: r.rejectionReason,
+      })),
+    });
   } catch (err) {
-    console.error(err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
-;
 
-// DELETE visa
-app.delete("/api/admin/visas/:id", async (req, res) => {
+app.delete("/api/customers/me/reviews/:id", authenticateCustomer, async (req, res) => {
   try {
-    const v = await Visa.findById(req.params.id);
-    if (!v) return res.status(404).json({ success: false, message: "Visa not found" });
-
-    // Delete image from Cloudinary
-    if (v.image) {
-      const publicId = getPublicId(v.image);
-      if (publicId) await cloudinary.uploader.destroy(publicId);
-    }
-
-    await Visa.findByIdAndDelete(req.params.id);
-    res.json({ success: true, message: "Visa deleted successfully" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: "Review not found" });
+    const review = await Review.findOneAndDelete({ _id: req.params.id, customer: req.customer._id });
+    if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+    if (review.status === "approved") await refreshRating(review.kind, review.item);
+    res.json({ success: true, message: "Review deleted" });
   } catch (err) {
-    console.error(err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+const adminReviewListQuery = listQuery(Review, {
+  sortable: ["createdAt", "updatedAt", "rating", "status"],
+  defaultSort: "createdAt", // oldest first, so the queue is worked in order
+});
 
-const flightSchema = new mongoose.Schema(
-  {
-    flightNumber: { type: String, required: true },
-    airline: { type: String, required: true },
-    logo: { type: String }, // Cloudinary URL or file path
-
-    departure: {
-      iataCode: { type: String, required: true },
-      time: { type: String, required: true },
-    },
-
-    arrival: {
-      iataCode: { type: String, required: true },
-      time: { type: String, required: true },
-    },
-
-    duration: { type: String }, // e.g., "2h 30m"
-
-    services: [
-      {
-        type: { type: String, required: true }, // Classic, Value, Flex
-        price: { type: Number, required: true },
-        features: [{ type: String }],
-      },
-    ],
-  },
-  { timestamps: true }
-);
-
-const Flight = mongoose.model("Flight", flightSchema, "flights");
-
-// CREATE flight
-app.post("/api/flights", upload.single("logo"), async (req, res) => {
+// Moderation queue: ?status= (default pending, "all" for every status), ?kind=package|hotel, ?itemId=, ?rating=
+app.get("/api/admin/reviews", authorize("reviews:manage"), adminReviewListQuery, async (req, res) => {
   try {
-    const { flightNumber, airline, departure, arrival, duration, services } = req.body;
-
-    const flight = new Flight({
-      flightNumber,
-      airline,
-      duration,
-      departure: JSON.parse(departure),
-      arrival: JSON.parse(arrival),
-      services: JSON.parse(services),
-      logo: req.file ? req.file.path : null,
-    });
-
-    await flight.save();
-    res.status(201).json({ success: true, flight });
+    const filter = {};
+    const status = req.query.status || "pending";
+    if (status !== "all") {
+      if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of: all, ${REVIEW_STATUSES.join(", ")}` });
+      }
+      filter.status = status;
+    }
+    if (REVIEW_MODELS[req.query.kind]) filter.kind = REVIEW_MODELS[req.query.kind];
+    if (mongoose.Types.ObjectId.isValid(req.query.itemId)) filter.item = req.query.itemId;
+    const stars = Number(req.query.rating);
+    if (Number.isInteger(stars) && stars >= 1 && stars <= 5) filter.rating = stars;
+
+    const { items, pagination } = await findPage(Review, filter, req.list);
+    await Review.populate(items, [
+      { path: "item", select: "title" },
+      { path: "customer", select: "name email" },
+      { path: "reply.by", select: "username" },
+    ]);
+    res.json({ success: true, reviews: items, pagination });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to add flight" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// GET all flights
-app.get("/api/flights", async (req, res) => {
+app.post("/api/admin/reviews/:id/approve", authorize("reviews:manage"), async (req, res) => {
   try {
-    const flights = await Flight.find();
-    res.json({ success: true, flights });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: "Review not found" });
+    const review = await transitionStatus(Review, req.params.id, ["pending", "rejected"], "approved", {
+      by: req.admin._id,
+      unset: { rejectionReason: 1 },
+    });
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ success: false, message: "Review not found" });
+      return res.status(409).json({ success: false, message: "Review is already approved" });
+    }
+    const rating = await refreshRating(review.kind, review.item);
+    res.json({ success: true, message: "Review approved", rating });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to get flights" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// GET single flight
-app.get("/api/flight/:id", async (req, res) => {
+// Rejects a pending review or takes down an approved one; the reason is shown to the customer
+app.post("/api/admin/reviews/:id/reject", authorize("reviews:manage"), validateBody({
+  reason: { type: "string", required: true, maxLength: 500 },
+}), async (req, res) => {
   try {
-    const flight = await Flight.findById(req.params.id);
-    if (!flight)
-      return res.status(404).json({ success: false, message: "Flight not found" });
-    res.json({ success: true, flight });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: "Review not found" });
+    const review = await transitionStatus(Review, req.params.id, ["pending", "approved"], "rejected", {
+      by: req.admin._id,
+      note: req.body.reason,
+      set: { rejectionReason: req.body.reason },
+    });
+    if (!review) {
+      const exists = await Review.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ success: false, message: "Review not found" });
+      return res.status(409).json({ success: false, message: "Review is already rejected" });
+    }
+    const rating = await refreshRating(review.kind, review.item);
+    res.json({ success: true, message: "Review rejected", rating });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to get flight" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// UPDATE flight
-app.put("/api/flight/:id", upload.single("logo"), async (req, res) => {
+// Public reply from the team, shown under the review
+app.put("/api/admin/reviews/:id/reply", authorize("reviews:manage"), validateBody({
+  body: { type: "string", required: true, maxLength: 2000 },
+}), async (req, res) => {
   try {
-    const { flightNumber, airline, departure, arrival, duration, services, existingLogo } = req.body;
-
-    const updatedFlight = await Flight.findByIdAndUpdate(
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: "Review not found" });
+    const review = await Review.findByIdAndUpdate(
       req.params.id,
-      {
-        flightNumber,
-        airline,
-        duration,
-        departure: JSON.parse(departure),
-        arrival: JSON.parse(arrival),
-        services: JSON.parse(services),
-        logo: req.file ? req.file.path : existingLogo || null,
-      },
+      { $set: { reply: { body: req.body.body, by: req.admin._id, at: new Date() } } },
       { new: true }
     );
-
-    if (!updatedFlight)
-      return res.status(404).json({ success: false, message: "Flight not found" });
-    res.json({ success: true, flight: updatedFlight });
+    if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+    res.json({ success: true, message: "Reply saved", review });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to update flight" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// DELETE flight
-app.delete("/api/flight/:id", async (req, res) => {
+app.delete("/api/admin/reviews/:id/reply", authorize("reviews:manage"), async (req, res) => {
   try {
-    const flight = await Flight.findById(req.params.id);
-    if (!flight) return res.status(404).json({ success: false, message: "Flight not found" });
-
-    // Delete image (logo) from Cloudinary
-    if (flight.logo) {
-      const publicId = getPublicId(flight.logo);
-      if (publicId) await cloudinary.uploader.destroy(publicId);
-    }
-
-    await Flight.findByIdAndDelete(req.params.id);
-    res.json({ success: true, message: "Flight deleted successfully" });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: "Review not found" });
+    const review = await Review.findByIdAndUpdate(req.params.id, { $unset: { reply: 1 } }, { new: true });
+    if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+    res.json({ success: true, message: "Reply removed", review });
   } catch (err) {
-    console.error(err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
-// SEARCH flights
-app.get("/api/flights/search", async (req, res) => {
+
+app.delete("/api/admin/reviews/:id", authorize("reviews:manage"), async (req, res) => {
   try {
-    const { origin, destination, departureDate } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ success: false, message: "Review not found" });
+    const review = await Review.findByIdAndDelete(req.params.id);
+    if (!review) return res.status(404).json({ success: false, message: "Review not found" });
+    if (review.status === "approved") await refreshRating(review.kind, review.item);
+    res.json({ success: true, message: "Review deleted" });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-    // Basic validation
-    if (!origin || !destination) {
-      return res.status(400).json({ success: false, message: "Origin and destination are required" });
+// ===== Visa Applications =====
+// A customer applies for a catalogue visa and uploads one file per entry of the visa's requiredDocuments.
+// Staff review each document and move the application through VISA_APPLICATION_TRANSITIONS; every
+// step is recorded in the application's timeline.
+const VISA_APPLICATION_STATUSES = ["submitted", "documents_pending", "lodged", "approved", "rejected"];
+const VISA_APPLICATION_TRANSITIONS = {
+  submitted: ["documents_pending", "lodged", "rejected"],
+  documents_pending: ["submitted", "lodged", "rejected"],
+  lodged: ["approved", "rejected"],
+  approved: [],
+  rejected: [],
+};
+const VISA_DOCUMENT_STATUSES = ["missing", "uploaded", "accepted", "rejected"];
+// Customers can only change documents while staff haven't lodged the application
+const VISA_UPLOAD_STATUSES = ["submitted", "documents_pending"];
+
+// Passport and ID scans are stored as authenticated assets (Cloudinary treats PDFs as images too), so
+// they can only be fetched through the short-lived signed links made by withDocumentLinks
+const VISA_DOCUMENT_ASSET = { type: "authenticated", resource_type: "image" };
+const VISA_DOCUMENT_LINK_TTL_S = 10 * 60;
+
+const documentUpload = multer({
+  storage: new CloudinaryStorage({
+    cloudinary,
+    params: {
+      folder: "visa-documents",
+      ...VISA_DOCUMENT_ASSET,
+      allowed_formats: ["jpg", "jpeg", "png", "pdf"]
     }
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
 
-    // Build query
-    const query = {
-      "departure.iataCode": origin.toUpperCase(),
-      "arrival.iataCode": destination.toUpperCase(),
-    };
-
-    // Optional: match by date if stored in flight object
-    if (departureDate) {
-      query.departureDate = departureDate;
+const visaApplicationSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true },
+  visa: { type: mongoose.Schema.Types.ObjectId, ref: "Visa", required: true },
+  visaName: String,
+  country: String,
+  applicant: {
+    name: { type: String, required: true },
+    email: { type: String, required: true, lowercase: true, index: true },
+    phone: String,
+    nationality: String,
+    passportNumber: String,
+    travelDate: Date
+  },
+  // Snapshot of the visa's requiredDocuments when the application was started
+  documents: [
+    {
+      name: { type: String, required: true },
+      status: { type: String, enum: VISA_DOCUMENT_STATUSES, default: "missing" },
+      fileId: String, // Cloudinary public id of the authenticated asset
+      fileFormat: String,
+      file: String, // legacy public URL, moved to fileId at startup
+      fileName: String,
+      uploadedAt: Date,
+      comment: String,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      reviewedAt: Date
+    }
+  ],
+  status: { type: String, enum: VISA_APPLICATION_STATUSES, default: "submitted", index: true },
+  timeline: [
+    {
+      event: { type: String, enum: ["status", "document"], required: true },
+      status: String, // the application status, or the document status for document events
+      document: String,
+      at: { type: Date, default: Date.now },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" }, // empty when the customer did it
+      note: String
     }
+  ]
+}, { timestamps: true });
+
+const VisaApplication = mongoose.model("VisaApplication", visaApplicationSchema);
+
+const visaApplicationRules = {
+  applicant: {
+    type: "object",
+    required: true,
+    fields: {
+      name: { type: "string", required: true, maxLength: 100 },
+      email: queryRules.email,
+      phone: queryRules.phone,
+      nationality: countryCodeRule(),
+      passportNumber: { type: "string", uppercase: true, maxLength: 20, pattern: /^[A-Z0-9]{5,20}$/, patternMessage: "must be a valid passport number" },
+      travelDate: { type: "date" },
+    },
+  },
+};
+
+// Customers reach their application with its reference and their email, like bookings
+async function findApplicationForCustomer(req) {
+  const application = await VisaApplication.findOne({ reference: String(req.params.reference).toUpperCase() });
+  if (!application || application.applicant.email !== String(req.query.email || "").toLowerCase()) return null;
+  return application;
+}
 
-    const flights = await Flight.find(query);
+// Application JSON with a signed, short-lived download link (fileUrl) for each uploaded document
+function withDocumentLinks(application) {
+  const obj = application.toObject();
+  const expiresAt = Math.floor(Date.now() / 1000) + VISA_DOCUMENT_LINK_TTL_S;
+  obj.documents = obj.documents.map(({ fileId, fileFormat, file, ...doc }) => ({
+    ...doc,
+    fileUrl: fileId
+      ? cloudinary.utils.private_download_url(fileId, fileFormat, { ...VISA_DOCUMENT_ASSET, expires_at: expiresAt })
+      : file,
+  }));
+  return obj;
+}
+
+function destroyVisaDocument(doc) {
+  const publicId = doc.fileId || (doc.file && getPublicId(doc.file));
+  if (!publicId) return Promise.resolve();
+  const options = doc.fileId ? VISA_DOCUMENT_ASSET : {};
+  return cloudinary.uploader.destroy(publicId, options).catch(() => {});
+}
 
-    res.json({ success: true, flights });
+// Documents uploaded before they were stored privately become authenticated assets
+(async () => {
+  try {
+    const applications = await VisaApplication.find({ documents: { $elemMatch: { file: { $nin: [null, ""] }, fileId: null } } });
+    for (const application of applications) {
+      for (const doc of application.documents) {
+        const publicId = !doc.fileId && doc.file && getPublicId(doc.file);
+        if (!publicId) continue;
+        try {
+          await cloudinary.uploader.rename(publicId, publicId, { resource_type: "image", type: "upload", to_type: "authenticated" });
+          doc.fileId = publicId;
+          doc.fileFormat = path.extname(doc.file.split("?")[0]).slice(1);
+          doc.file = undefined;
+        } catch (err) {
+          console.error(`Error moving visa document ${publicId}:`, err.message || err);
+        }
+      }
+      await application.save();
+    }
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: "Failed to search flights" });
+    console.error("Error migrating visa documents:", err);
   }
-});
+})();
 
+// Statuses an application may move to `to` from
+function visaApplicationSources(to) {
+  return VISA_APPLICATION_STATUSES.filter((from) => VISA_APPLICATION_TRANSITIONS[from].includes(to));
+}
 
-const querySchema = new mongoose.Schema({
-  name: String,
-  email: String,
-  phone: String,
-  adults: Number,
-  children: Number,
-  message: String,
-  date: { type: Date, default: Date.now },
+function notifyApplicant(application, note) {
+  return queueEmail("visaApplicationUpdated", application.applicant.email, { application, note },
+    { kind: "VisaApplication", id: application._id });
+}
+
+app.post("/api/visas/:id/applications", validateBody(visaApplicationRules), async (req, res) => {
+  try {
+    const visa = await Visa.findById(req.params.id).select("name country requiredDocuments eligibility");
+    if (!visa) return res.status(404).json({ success: false, message: "Visa not found" });
+    if (!isVisaEligible(visa, { nationality: req.body.applicant.nationality })) {
+      return res.status(400).json({ success: false, message: "This visa is not available for your nationality" });
+    }
+
+    const application = await VisaApplication.create({
+      reference: generateReference("VA"),
+      visa: visa._id,
+      visaName: visa.name,
+      country: visa.country,
+      applicant: req.body.applicant,
+      documents: (visa.requiredDocuments || []).map((name) => ({ name })),
+      timeline: [{ event: "status", status: "submitted" }],
+    });
+
+    await queueEmail("visaApplicationReceived", application.applicant.email, application,
+      { kind: "VisaApplication", id: application._id });
+    res.status(201).json({ success: true, message: "Application started", application });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
 });
-const Query = mongoose.model("Query", querySchema);
-app.post("/api/query", async (req, res) => {
+
+app.get("/api/visa-applications/:reference", async (req, res) => {
   try {
-    const newQuery = new Query(req.body);
-    await newQuery.save();
-    res.status(201).json({ message: "Query submitted successfully!" });
-  } catch (error) {
-    res.status(500).json({ error: "Something went wrong" });
+    const application = await findApplicationForCustomer(req);
+    if (!application) return res.status(404).json({ success: false, message: "Application not found" });
+    res.json({ success: true, application: withDocumentLinks(application) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
   }
 });
-app.get("/api/query", async (req, res) => {
+
+// Checks the reference, email and document before multer runs, so nothing reaches Cloudinary
+// unless the caller may upload to this application
+async function loadDocumentForUpload(req, res, next) {
   try {
-    const queries = await Query.find().sort({ date: -1 }); // latest first
-    res.json(queries);
+    const application = await findApplicationForCustomer(req);
+    if (!application) return res.status(404).json({ success: false, message: "Application not found" });
+    const doc = application.documents.id(req.params.documentId);
+    if (!doc) return res.status(404).json({ success: false, message: "Document not found" });
+    if (!VISA_UPLOAD_STATUSES.includes(application.status) || doc.status === "accepted") {
+      return res.status(409).json({ success: false, message: "This document can no longer be changed" });
+    }
+    req.application = application;
+    req.visaDocument = doc;
+    next();
   } catch (err) {
-    console.error("Error fetching queries:", err);
-    res.status(500).json({ error: "Failed to fetch queries" });
+    res.status(500).json({ success: false, message: err.message });
+  }
+}
+
+// Upload (or replace) one required document, multipart field "file"
+app.post(
+  "/api/visa-applications/:reference/documents/:documentId",
+  loadDocumentForUpload,
+  documentUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ success: false, message: "A file is required" });
+      const { application, visaDocument: doc } = req;
+
+      const previous = { fileId: doc.fileId, file: doc.file };
+      Object.assign(doc, {
+        status: "uploaded",
+        fileId: req.file.filename,
+        fileFormat: path.extname(req.file.path.split("?")[0]).slice(1),
+        file: undefined,
+        fileName: req.file.originalname,
+        uploadedAt: new Date(),
+        comment: undefined,
+        reviewedBy: undefined,
+        reviewedAt: undefined,
+      });
+      application.timeline.push({ event: "document", status: "uploaded", document: doc.name });
+
+      // Everything asked for is in again: back to the review queue
+      if (application.status === "documents_pending"
+        && application.documents.every((d) => ["uploaded", "accepted"].includes(d.status))) {
+        application.status = "submitted";
+        application.timeline.push({ event: "status", status: "submitted", note: "All documents provided" });
+      }
+      await application.save();
+
+      await destroyVisaDocument(previous);
+      res.json({ success: true, message: "Document uploaded", application: withDocumentLinks(application) });
+    } catch (err) {
+      res.status(500).json({ success: false, message: err.message });
+    }
   }
+);
+
+const visaApplicationListQuery = listQuery(VisaApplication, {
+  sortable: ["createdAt", "updatedAt", "status", "applicant.travelDate"],
+  defaultSort: "-createdAt",
 });
-app.get("/api/admin/stats", async (req, res) => {
+
+// Admin list, filter with ?status=&visaId=&email=
+app.get("/api/admin/visa-applications", authorize("applications:read"), visaApplicationListQuery, async (req, res) => {
   try {
-    const [packages, hotels, visas, flights, enquiries] = await Promise.all([
-      Destination.countDocuments(),
-      Hotel.countDocuments(),
-      Visa.countDocuments(),
-      Flight.countDocuments(),
-      Query.countDocuments(), // ✅ total enquiries from Query collection
-    ]);
+    const filter = {};
+    if (VISA_APPLICATION_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (mongoose.Types.ObjectId.isValid(req.query.visaId)) filter.visa = req.query.visaId;
+    if (req.query.email) filter["applicant.email"] = String(req.query.email).toLowerCase();
 
-    res.json({
-      packages,
-      hotels,
-      visas,
-      flights,
-      enquiries,
-    });
+    const { items: applications, pagination } = await findPage(VisaApplication, filter, req.list);
+    res.json({ success: true, applications, pagination });
   } catch (err) {
-    console.error("Error fetching stats:", err);
-    res.status(500).json({ message: "Error fetching stats" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
-app.get("/api/query/monthly", async (req, res) => {
+
+app.get("/api/admin/visa-applications/:id", authorize("applications:read"), async (req, res) => {
   try {
-    const monthly = await Query.aggregate([
+    const application = await VisaApplication.findById(req.params.id)
+      .populate("timeline.by", "username")
+      .populate("documents.reviewedBy", "username");
+    if (!application) return res.status(404).json({ success: false, message: "Application not found" });
+    res.json({ success: true, application: withDocumentLinks(application) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+app.post("/api/admin/visa-applications/:id/status", authorize("applications:manage"), validateBody({
+  status: { type: "string", required: true, enum: VISA_APPLICATION_STATUSES },
+  note: { type: "string", maxLength: 2000 },
+}), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const application = await VisaApplication.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: visaApplicationSources(status) } },
       {
-        $group: {
-          _id: { $month: "$date" },
-          total: { $sum: 1 }
-        }
+        $set: { status },
+        $push: { timeline: { event: "status", status, at: new Date(), by: req.admin._id, note } },
       },
-      { $sort: { "_id": 1 } }
-    ]);
+      { new: true }
+    );
+    if (!application) {
+      const current = await VisaApplication.findById(req.params.id).select("status");
+      return current
+        ? res.status(409).json({ success: false, message: `Cannot move a ${current.status} application to ${status}` })
+        : res.status(404).json({ success: false, message: "Application not found" });
+    }
 
-    // Map month numbers to names
-   const monthNames = [
-  "January","February","March","April","May","June",
-  "July","August","September","October","November","December"
-];
-    const formatted = monthly.map(m => ({
-      month: monthNames[m._id - 1],
-      enquiries: m.total
-    }));
+    await notifyApplicant(application, note);
+    res.json({ success: true, message: "Application updated", application: withDocumentLinks(application) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
 
-    res.json(formatted);
+// Accept or reject one uploaded document; the comment tells the customer what to fix
+app.post("/api/admin/visa-applications/:id/documents/:documentId/review", authorize("applications:manage"), validateBody({
+  decision: { type: "string", required: true, enum: ["accepted", "rejected"] },
+  comment: { type: "string", maxLength: 2000 },
+}), async (req, res) => {
+  try {
+    const { decision, comment } = req.body;
+    if (decision === "rejected" && !comment) {
+      return res.status(400).json({ success: false, message: "Give the customer a comment when rejecting a document" });
+    }
+
+    const application = await VisaApplication.findById(req.params.id);
+    if (!application) return res.status(404).json({ success: false, message: "Application not found" });
+    const doc = application.documents.id(req.params.documentId);
+    if (!doc) return res.status(404).json({ success: false, message: "Document not found" });
+    if (doc.status === "missing") {
+      return res.status(409).json({ success: false, message: "Nothing has been uploaded for this document yet" });
+    }
+
+    Object.assign(doc, { status: decision, comment, reviewedBy: req.admin._id, reviewedAt: new Date() });
+    application.timeline.push({ event: "document", status: decision, document: doc.name, by: req.admin._id, note: comment });
+
+    // A rejected document needs a new upload from the customer
+    if (decision === "rejected" && application.status === "submitted") {
+      application.status = "documents_pending";
+      application.timeline.push({ event: "status", status: "documents_pending", by: req.admin._id });
+    }
+    await application.save();
+
+    if (decision === "rejected") await notifyApplicant(application, `${doc.name}: ${comment}`);
+    res.json({ success: true, message: `Document ${decision}`, application: withDocumentLinks(application) });
   } catch (err) {
-    console.error("Error fetching monthly queries:", err);
-    res.status(500).json({ error: "Failed to fetch monthly enquiries" });
+    res.status(500).json({ success: false, message: err.message });
   }
 });
+
 app.get("/health", (req, res) => res.status(200).send("ok"));
 const PORT = process.env.PORT || 9000; app.listen(PORT, () => console.log(`Server running on port ${PORT}`));